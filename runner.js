@@ -1,39 +1,92 @@
+const cluster = require('cluster');
+const fs = require('fs');
+const fspath = require('path');
 const express = require('express');
-const app = express();
-const server = require('http').Server(app);
 const cors = require('cors');
-const rateLimit = require('express-rate-limit');
+const Config = require('./src/config');
 const PixSimAPI = require('./src/multiplayer/index');
-const limiter = rateLimit({
-    windowMs: 250,
-    max: 25,
-    handler: function (req, res, options) {
-        console.log('Rate limiting triggered by ' + req.ip ?? req.socket.remoteAddress);
-        PixSimHandler.logger.warn(`Potential DOS attack from ${req.ip ?? req.socket.remoteAddress}!`);
-    }
-});
-app.use(cors({
-    origin: '*',
-    methods: ['GET', 'POST', 'DELETE', 'UPDATE', 'PUT', 'PATCH']
-}));
-app.use(limiter);
-app.get('/coffee', (req, res) => res.sendStatus(418));
-app.get('/', (req, res) => { res.writeHead(301, { location: 'http://pixelsimulator.repl.co' }); res.end(); });
+const ClusterRouter = require('./src/multiplayer/cluster');
+const { IPCRoomRegistry } = require('./src/multiplayer/registry');
+const { BanList, IPCBanList } = require('./src/multiplayer/bans');
+const { JSONAccountStore, IPCAccountStore } = require('./src/accounts');
+const { JSONMatchStore, IPCMatchStore } = require('./src/matches');
 
-if (process.env.PORT) {
-    server.listen(process.env.PORT);
-} else {
-    server.listen(5000);
+// PIXSIM_CONFIG points to a configuration file, otherwise pixsim.config.json/.yaml/.yml is used if it exists
+let config;
+try {
+    config = Config.load(process.env.PIXSIM_CONFIG);
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
 }
+const { port, workers, trustedProxies, configPath, ...options } = config;
+if (cluster.isPrimary) console.info(configPath != null ? `Loaded configuration from ${configPath}` : 'No configuration file found, using defaults');
 
-// TODO: make game rooms run on a separate thread from io (which is main thread)
-const api = new PixSimAPI(app, server, { logEverything: process.argv.includes('--verbose'), allowCache: !process.argv.includes('--no-cache') });
+if (cluster.isPrimary && workers > 1) {
+    // primary only routes connections to the workers, which each run their own API, and keeps the stores they share
+    if (options.banListPath != null) IPCBanList.serve(new BanList(options.banListPath));
+    if (options.accountsPath != null) IPCAccountStore.serve(new JSONAccountStore(options.accountsPath));
+    if (options.matchesPath != null) IPCMatchStore.serve(new JSONMatchStore(options.matchesPath));
+    const router = new ClusterRouter(port, workers);
+    // first signal lets the workers finish their games, a second one closes them immediately
+    let stopping = false;
+    function stop() {
+        router.close(stopping).then(() => process.exit(0));
+        stopping = true;
+    };
+    process.on('SIGTERM', stop);
+    process.on('SIGINT', stop);
+    process.on('SIGQUIT', stop);
+    process.on('SIGILL', stop);
+} else {
+    const app = express();
+    const server = require('http').Server(app);
+    app.use(cors({
+        origin: '*',
+        methods: ['GET', 'POST', 'DELETE', 'UPDATE', 'PUT', 'PATCH']
+    }));
 
-function stop() {
-    api.close();
-    process.exit(0);
-};
-process.on('SIGTERM', stop);
-process.on('SIGINT', stop);
-process.on('SIGQUIT', stop);
-process.on('SIGILL', stop);
\ No newline at end of file
+    if (cluster.isWorker) {
+        ClusterRouter.attach(server);
+    } else {
+        server.listen(port);
+    }
+
+    // workers can't share a log file
+    const logPath = cluster.isWorker ? fspath.join(options.logPath, `./workers/${cluster.worker.id}/`) : options.logPath;
+    fs.mkdirSync(logPath, { recursive: true });
+    const api = new PixSimAPI(app, server, {
+        ...options,
+        logPath: logPath,
+        logEverything: options.logEverything || process.argv.includes('--verbose'),
+        allowCache: options.allowCache && !process.argv.includes('--no-cache'),
+        rateLimit: { ...options.rateLimit, trustedProxies: trustedProxies },
+        roomRegistry: cluster.isWorker ? new IPCRoomRegistry() : undefined,
+        banList: cluster.isWorker && options.banListPath != null ? new IPCBanList() : undefined,
+        accountStore: cluster.isWorker && options.accountsPath != null ? new IPCAccountStore() : undefined,
+        matchStore: cluster.isWorker && options.matchesPath != null ? new IPCMatchStore() : undefined,
+        tickWorkers: cluster.isWorker ? 1 : options.tickWorkers,
+        replayPath: options.replayPath ?? (process.argv.includes('--record-replays') ? './replays/' : undefined)
+    });
+    // after the API so its rate limiter applies to these too
+    app.get('/coffee', (req, res) => res.sendStatus(418));
+    app.get('/', (req, res) => { res.writeHead(301, { location: 'http://pixelsimulator.repl.co' }); res.end(); });
+
+    // first signal waits for running games to finish, a second one closes immediately
+    let stopping = false;
+    function stop(force) {
+        if (stopping || force) api.close().then(() => process.exit(0));
+        else api.shutdown().then(() => process.exit(0));
+        stopping = true;
+    };
+    if (cluster.isWorker) {
+        // signals to the whole process group also reach the primary, which tells the workers what to do
+        ClusterRouter.onShutdown(stop);
+        for (const signal of ['SIGTERM', 'SIGINT', 'SIGQUIT', 'SIGILL']) process.on(signal, () => { });
+    } else {
+        process.on('SIGTERM', () => stop());
+        process.on('SIGINT', () => stop());
+        process.on('SIGQUIT', () => stop());
+        process.on('SIGILL', () => stop());
+    }
+}
\ No newline at end of file
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const fspath = require('path');
+const { scrypt, randomBytes, timingSafeEqual } = require('crypto');
+const Logger = require('./log');
+const IPCChannel = require('./ipc');
+
+/**
+ * Base class for account storage. Handles registration and password checking, while subclasses
+ * only have to implement `getAccount` and `setAccount` to store the salted password hashes.
+ */
+class AccountStore {
+    /**
+     * Get the stored account of a username.
+     * @param {string} username Username of the account.
+     * @returns {Promise<Account|null>} The account, or `null` if the username is not registered.
+     */
+    async getAccount(username) {
+        throw new Error('getAccount is not implemented');
+    }
+    /**
+     * Store the account of a username, replacing any existing account.
+     * @param {string} username Username of the account.
+     * @param {Account} account Account to store.
+     */
+    async setAccount(username, account) {
+        throw new Error('setAccount is not implemented');
+    }
+
+    /**
+     * Check if a username is registered (and so reserved).
+     * @param {string} username Username to check.
+     * @returns {Promise<boolean>} If the username is registered.
+     */
+    async isRegistered(username) {
+        return (await this.getAccount(username)) != null;
+    }
+    /**
+     * Register a new account.
+     * @param {string} username Username of the account. Must be 1-32 letters, numbers, dashes, or underscores.
+     * @param {string} password Password of the account.
+     * @returns {Promise<boolean>} If the account was created (false if the username is invalid or already registered).
+     */
+    async register(username, password) {
+        if (!AccountStore.validUsername(username) || typeof password != 'string' || password.length == 0) return false;
+        if (await this.isRegistered(username)) return false;
+        const salt = randomBytes(16);
+        const hash = await AccountStore.#hash(password, salt);
+        if (await this.isRegistered(username)) return false;
+        await this.setAccount(username, { salt: salt.toString('hex'), hash: hash.toString('hex'), created: Date.now() });
+        return true;
+    }
+    /**
+     * Check the password of an account.
+     * @param {string} username Username of the account.
+     * @param {string} password Password to check.
+     * @returns {Promise<boolean>} If the account exists and the password is correct.
+     */
+    async authenticate(username, password) {
+        if (typeof username != 'string' || typeof password != 'string') return false;
+        const account = await this.getAccount(username);
+        if (account == null) return false;
+        const hash = await AccountStore.#hash(password, Buffer.from(account.salt, 'hex'));
+        return timingSafeEqual(hash, Buffer.from(account.hash, 'hex'));
+    }
+
+    /**
+     * Check if a username can be registered.
+     * @param {string} username Username to check.
+     * @returns {boolean} If the username is 1-32 letters, numbers, dashes, or underscores.
+     */
+    static validUsername(username) {
+        return typeof username == 'string' && /^[\w-]{1,32}$/.test(username);
+    }
+    static #hash(password, salt) {
+        return new Promise((resolve, reject) => {
+            scrypt(password, salt, 64, (err, hash) => {
+                if (err) reject(err);
+                else resolve(hash);
+            });
+        });
+    }
+}
+
+/**
+ * Stores accounts in a local JSON file.
+ */
+class JSONAccountStore extends AccountStore {
+    #filePath;
+    #logger;
+    #accounts = new Map();
+    #writing = Promise.resolve();
+
+    /**
+     * Create a new `JSONAccountStore`, loading existing accounts from `filePath`. The file is created when the first account is registered.
+     * @param {string} filePath Path to the JSON file to store accounts in.
+     * @param {Logger} logger `Logger` instance for logging.
+     */
+    constructor(filePath, logger) {
+        super();
+        if (typeof filePath != 'string') throw new TypeError('"filePath" must be a string');
+        this.#filePath = fspath.resolve(filePath);
+        if (logger instanceof Logger) this.#logger = logger;
+        if (fs.existsSync(this.#filePath)) {
+            try {
+                const raw = JSON.parse(fs.readFileSync(this.#filePath, 'utf8'));
+                for (const username in raw) this.#accounts.set(username, raw[username]);
+            } catch (err) {
+                this.#error(`Failed to load "${this.#filePath}"`);
+                this.#error(err.stack);
+            }
+        }
+        this.#info(`Loaded ${this.#accounts.size} accounts`);
+    }
+
+    async getAccount(username) {
+        return this.#accounts.get(username) ?? null;
+    }
+    async setAccount(username, account) {
+        this.#accounts.set(username, account);
+        this.#info(`Saved account "${username}"`);
+        // writes are queued so an older write can't finish after a newer one
+        const data = JSON.stringify(Object.fromEntries(this.#accounts));
+        this.#writing = this.#writing.then(() => fs.promises.writeFile(this.#filePath, data)).catch((err) => this.#error(err.stack));
+        await this.#writing;
+    }
+
+    #info(text) {
+        console.info(text);
+        if (this.#logger) this.#logger.info('[JSONAccountStore] ' + text);
+    }
+    #error(text) {
+        console.error(text);
+        if (this.#logger) this.#logger.error('[JSONAccountStore] ' + text);
+    }
+}
+/**
+ * `AccountStore` for the workers of a Node `cluster`. The accounts are kept by a store in the primary
+ * process, which has to call `IPCAccountStore.serve` once, so every worker sees the same accounts.
+ */
+class IPCAccountStore extends AccountStore {
+    #channel;
+
+    /**
+     * Create a new `IPCAccountStore`. Must be created in a cluster worker.
+     */
+    constructor() {
+        super();
+        this.#channel = new IPCChannel('accounts');
+    }
+
+    async getAccount(username) {
+        return await this.#channel.request('getAccount', username);
+    }
+    async setAccount(username, account) {
+        await this.#channel.request('setAccount', username, account);
+    }
+
+    /**
+     * Serve an `AccountStore` to the workers of a cluster. Must be called in the primary process.
+     * @param {AccountStore} store Store to keep the accounts of every worker in.
+     * @returns {AccountStore} The store.
+     */
+    static serve(store) {
+        if (!(store instanceof AccountStore)) throw new TypeError('"store" must be an instance of AccountStore');
+        IPCChannel.serve('accounts', {
+            getAccount: (username) => store.getAccount(username),
+            setAccount: (username, account) => store.setAccount(username, account)
+        });
+        return store;
+    }
+}
+/**
+ * A stored account.
+ * @typedef {{salt: string, hash: string, created: number}} Account
+ * @param salt Hex-encoded random salt.
+ * @param hash Hex-encoded scrypt hash of the password with the salt.
+ * @param created Time the account was registered in milliseconds since midnight on January 1, 1970 UTC.
+ */
+
+module.exports.AccountStore = AccountStore;
+module.exports.JSONAccountStore = JSONAccountStore;
+module.exports.IPCAccountStore = IPCAccountStore;
\ No newline at end of file
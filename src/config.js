@@ -0,0 +1,206 @@
+const fs = require('fs');
+const fspath = require('path');
+const YAML = require('yaml');
+
+/**
+ * Loads the server configuration from a JSON or YAML file and environment variables. Environment variables
+ * take priority over the file, and options set in neither use their defaults. Every option can be set with
+ * an environment variable named `PIXSIM_` followed by the option name in upper snake case (`pingTimeout` is
+ * `PIXSIM_PING_TIMEOUT`), and a few also have a shorter name. Arrays are comma-separated lists or JSON, and
+ * objects are JSON.
+ */
+class Config {
+    static #files = ['pixsim.config.json', 'pixsim.config.yaml', 'pixsim.config.yml'];
+    static #options = {
+        port: { type: 'integer', default: 5000, min: 0, max: 65535, env: 'PORT' },
+        workers: { type: 'integer', default: 1, min: 1, env: 'PIXSIM_WORKERS' },
+        path: { type: 'string', default: '/pixsim-api/' },
+        logPath: { type: 'string', default: './' },
+        logEverything: { type: 'boolean', default: false },
+        allowCache: { type: 'boolean', default: true },
+        mapsPath: { type: 'string', default: './src/multiplayer/maps' },
+        clientTypesPath: { type: 'string', default: './src/multiplayer/clients.json' },
+        controllersPath: { type: 'string', default: './src/multiplayer/scripts' },
+        banListPath: { type: ['string', 'null'], default: './bans.json' },
+        accountsPath: { type: ['string', 'null'], default: './accounts.json' },
+        matchesPath: { type: ['string', 'null'], default: './matches.json' },
+        replayPath: { type: ['string', 'null'], default: null },
+        adminToken: { type: ['string', 'null'], default: null, env: 'ADMIN_TOKEN', secret: true },
+        pingTimeout: { type: 'integer', default: 10000, min: 1 },
+        pingInterval: { type: 'integer', default: 5000, min: 1 },
+        idleTimeout: { type: 'integer', default: 300000, min: 1000 },
+        reconnectGracePeriod: { type: 'integer', default: 30000, min: 0 },
+        readyCheckTimeout: { type: 'integer', default: 15000, min: 1 },
+        readyCheckDropPlayers: { type: 'boolean', default: false },
+        strikeLimit: { type: 'integer', default: 5, min: 0 },
+        strikeWindow: { type: 'integer', default: 60000, min: 1 },
+        shutdownTimeout: { type: 'integer', default: 300000, min: 0 },
+        inputDelay: { type: 'integer', default: 2, min: 0 },
+        tickWorkers: { type: ['integer', 'null'], default: null, min: 0 },
+        chatFilter: { type: 'array', items: 'string', default: [] },
+        minTeamSize: { type: 'integer', default: 1, min: 1 },
+        maxTeamSize: { type: 'integer', default: 3, min: 1 },
+        gameTypes: { type: 'array', items: 'string', default: ['pixelcrash', 'resourcerace'] },
+        matchmaking: { type: 'boolean', default: true },
+        pixelTables: { type: 'object', default: {}, validate: (tables) => Object.values(tables).every((table) => typeof table == 'object' && table != null && typeof table.url == 'string' && (table.fallback === undefined || typeof table.fallback == 'string')) ? null : 'Expected an object of { url, fallback } by pixel format' },
+        trustedProxies: { type: 'array', items: 'string', default: [], env: 'TRUSTED_PROXIES' },
+        rateLimit: { type: 'object', default: {}, validate: (rateLimit) => Config.#checkRateLimit(rateLimit) }
+    };
+
+    /**
+     * Load the configuration. Without a `filePath`, the first of `pixsim.config.json`, `pixsim.config.yaml`,
+     * and `pixsim.config.yml` in the working directory is used, if any exists.
+     * @param {string} filePath Path to a JSON or YAML configuration file.
+     * @param {object} env Environment variables to read.
+     * @returns {ServerConfig} The validated configuration, with defaults filled in.
+     * @throws An `Error` listing every invalid option if the configuration is invalid.
+     */
+    static load(filePath = Config.#findFile(), env = process.env) {
+        let file = {};
+        if (filePath != undefined) {
+            const raw = fs.readFileSync(filePath, 'utf8');
+            file = /\.ya?ml$/i.test(filePath) ? YAML.parse(raw) : JSON.parse(raw);
+            if (file == null) file = {};
+            if (typeof file != 'object' || file instanceof Array) throw new Error(`Invalid configuration in "${filePath}": expected an object`);
+        }
+        const problems = [];
+        for (const key in file) {
+            if (!Config.#options.hasOwnProperty(key)) problems.push(`Unknown option "${key}"`);
+        }
+        const config = {};
+        for (const key in Config.#options) {
+            const option = Config.#options[key];
+            let value = file[key];
+            let source = key;
+            for (const name of Config.#envNames(key, option)) {
+                if (env[name] == undefined) continue;
+                try {
+                    value = Config.#parseEnv(env[name], option);
+                } catch (err) {
+                    problems.push(`${name}: ${err.message}`);
+                }
+                source = name;
+                break;
+            }
+            if (value === undefined) {
+                config[key] = structuredClone(option.default);
+                continue;
+            }
+            const problem = Config.#check(value, option);
+            if (problem != null) problems.push(`${source}: ${problem}`);
+            config[key] = value;
+        }
+        if (problems.length == 0 && config.minTeamSize > config.maxTeamSize) problems.push('minTeamSize must not be greater than maxTeamSize');
+        // the matchmaker and admin panel only see their own worker (see ClusterRouter)
+        if (config.workers > 1 && config.matchmaking) problems.push('matchmaking must be disabled when there is more than 1 worker');
+        if (config.workers > 1 && config.adminToken != null) problems.push('adminToken must not be set when there is more than 1 worker');
+        if (problems.length > 0) throw new Error(`Invalid configuration${filePath != undefined ? ` in "${filePath}"` : ''}:\n    ${problems.join('\n    ')}`);
+        config.configPath = filePath != undefined ? fspath.resolve(filePath) : null;
+        return config;
+    }
+    /**
+     * The default configuration.
+     */
+    static get defaults() {
+        const config = {};
+        for (const key in Config.#options) config[key] = structuredClone(Config.#options[key].default);
+        return config;
+    }
+    /**
+     * Formats options for logging, hiding secrets.
+     * @param {object} config The configuration or API options to describe.
+     * @returns {string} One line per option.
+     */
+    static describe(config) {
+        return Object.entries(config).filter(([key, value]) => value !== undefined).map(([key, value]) => {
+            if (Config.#options[key]?.secret && value != null) return `${key}: (hidden)`;
+            if (typeof value == 'object' && value != null && value.constructor != Object && !(value instanceof Array)) return `${key}: ${value.constructor.name}`;
+            return `${key}: ${JSON.stringify(value)}`;
+        }).join('\n');
+    }
+
+    static #findFile() {
+        return Config.#files.find((file) => fs.existsSync(file));
+    }
+    static #envNames(key, option) {
+        const name = 'PIXSIM_' + key.replace(/[A-Z]/g, (letter) => '_' + letter).toUpperCase();
+        return option.env != undefined && option.env != name ? [name, option.env] : [name];
+    }
+    static #parseEnv(text, option) {
+        const types = option.type instanceof Array ? option.type : [option.type];
+        if (types.includes('null') && (text == '' || text == 'null')) return null;
+        if (types.includes('integer')) {
+            if (!/^-?\d+$/.test(text)) throw new Error('Expected an integer');
+            return parseInt(text);
+        }
+        if (types.includes('boolean')) {
+            if (['true', '1', 'yes'].includes(text.toLowerCase())) return true;
+            if (['false', '0', 'no'].includes(text.toLowerCase())) return false;
+            throw new Error('Expected true or false');
+        }
+        if (types.includes('array')) {
+            if (text.trim().startsWith('[')) return JSON.parse(text);
+            return text.split(',').map((item) => item.trim()).filter((item) => item.length > 0);
+        }
+        if (types.includes('object')) return JSON.parse(text);
+        return text;
+    }
+    static #check(value, option) {
+        const types = option.type instanceof Array ? option.type : [option.type];
+        const type = value === null ? 'null' : value instanceof Array ? 'array' : Number.isInteger(value) ? 'integer' : typeof value;
+        if (!types.includes(type)) return `Expected ${types.join(' or ')}, got ${type}`;
+        if (typeof value == 'number' && ((option.min != undefined && value < option.min) || (option.max != undefined && value > option.max))) {
+            return `Expected a value from ${option.min ?? '-Infinity'} to ${option.max ?? 'Infinity'}`;
+        }
+        if (type == 'array' && option.items != undefined && value.some((item) => typeof item != option.items)) return `Expected an array of ${option.items}s`;
+        if (option.validate != undefined) return option.validate(value);
+        return null;
+    }
+    static #checkRateLimit(rateLimit) {
+        // mirrors the options of RateLimiter, which silently ignores invalid values
+        const problems = [];
+        const checkLimit = (limit, name) => {
+            if (typeof limit != 'object' || limit == null || limit instanceof Array) problems.push(`${name} must be an object of { capacity, rate }`);
+            else if (typeof limit.capacity != 'number' || limit.capacity < 1) problems.push(`${name}.capacity must be a number of at least 1`);
+            else if (typeof limit.rate != 'number' || limit.rate <= 0) problems.push(`${name}.rate must be a positive number`);
+        };
+        for (const key in rateLimit) {
+            const value = rateLimit[key];
+            switch (key) {
+                case 'http':
+                case 'connections':
+                case 'packets':
+                    checkLimit(value, key);
+                    break;
+                case 'events':
+                    if (typeof value != 'object' || value == null || value instanceof Array) problems.push('events must be an object of limits by event name');
+                    // null removes a default event limit
+                    else for (const event in value) if (value[event] !== null) checkLimit(value[event], `events.${event}`);
+                    break;
+                case 'banDuration':
+                case 'maxBanDuration':
+                    if (typeof value != 'number' || value < 0) problems.push(`${key} must be a non-negative number`);
+                    break;
+                case 'offenceExpiry':
+                    if (typeof value != 'number' || value <= 0) problems.push(`${key} must be a positive number`);
+                    break;
+                case 'trustedProxies':
+                    problems.push('trustedProxies must be set as the top-level trustedProxies option');
+                    break;
+                default:
+                    problems.push(`Unknown option "${key}"`);
+            }
+        }
+        return problems.length > 0 ? problems.join(', ') : null;
+    }
+}
+/**
+ * The configuration of the server. Everything but `port`, `workers`, `trustedProxies`, and `configPath` is an option of `PixSimAPI`.
+ * @typedef {{port: number, workers: number, trustedProxies: Array<string>, configPath: string|null} & Object<string, any>} ServerConfig
+ * @param port Port to listen on.
+ * @param workers Number of cluster worker processes. More than 1 runs a `ClusterRouter`, which needs `matchmaking` disabled and no `adminToken`.
+ * @param trustedProxies Addresses of reverse proxies trusted by the rate limiter, merged into `rateLimit`.
+ * @param configPath Absolute path of the configuration file used, or `null` if none was found.
+ */
+
+module.exports = Config;
\ No newline at end of file
@@ -0,0 +1,115 @@
+const cluster = require('cluster');
+
+/**
+ * Request and event messaging between the workers and the primary process of a Node `cluster`, for
+ * stores that are kept by the primary and shared by every worker. Channels are identified by name, so
+ * several can share the IPC connection of a worker.
+ */
+class IPCChannel {
+    static #timeout = 5000;
+
+    #name;
+    #nextId = 0;
+    #pending = new Map();
+    #listeners = new Map();
+    #onMessage;
+
+    /**
+     * Create a new `IPCChannel` to the primary. Must be created in a cluster worker.
+     * @param {string} name Name of the channel, the same as the one served by the primary.
+     */
+    constructor(name) {
+        if (!cluster.isWorker) throw new Error('IPCChannel must be created in a cluster worker');
+        if (typeof name != 'string') throw new TypeError('"name" must be a string');
+        this.#name = name;
+        this.#onMessage = (message) => {
+            if (typeof message != 'object' || message == null || message.pixsimChannel != this.#name) return;
+            if (message.type == 'response') {
+                const request = this.#pending.get(message.id);
+                if (request == undefined) return;
+                this.#pending.delete(message.id);
+                clearTimeout(request.timeout);
+                if (message.error != undefined) request.reject(new Error(message.error));
+                else request.resolve(message.result);
+            } else if (message.type == 'event') {
+                this.#listeners.get(message.event)?.forEach((listener) => listener(message.data));
+            }
+        };
+        process.on('message', this.#onMessage);
+    }
+
+    /**
+     * Call a method served by the primary.
+     * @param {string} method Name of the method.
+     * @param {...any} args Arguments of the method. Must be serializable.
+     * @returns {Promise<any>} The value returned by the method.
+     */
+    request(method, ...args) {
+        const id = this.#nextId++;
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                this.#pending.delete(id);
+                reject(new Error(`${this.#name} request "${method}" timed out`));
+            }, IPCChannel.#timeout);
+            this.#pending.set(id, { resolve: resolve, reject: reject, timeout: timeout });
+            process.send({ pixsimChannel: this.#name, type: 'request', id: id, method: method, args: args });
+        });
+    }
+    /**
+     * Add a listener for an event broadcast by the primary.
+     * @param {string} event Name of the event.
+     * @param {function(any): void} listener Listener called with the data of the event.
+     */
+    on(event, listener) {
+        if (!this.#listeners.has(event)) this.#listeners.set(event, new Set());
+        this.#listeners.get(event).add(listener);
+    }
+    /**
+     * Stop listening to the primary and reject any pending requests.
+     */
+    close() {
+        process.off('message', this.#onMessage);
+        this.#pending.forEach((request) => {
+            clearTimeout(request.timeout);
+            request.reject(new Error(`${this.#name} channel closed`));
+        });
+        this.#pending.clear();
+        this.#listeners.clear();
+    }
+
+    /**
+     * Serve the methods of a channel to the workers. Must be called in the primary process.
+     * @param {string} name Name of the channel.
+     * @param {Object<string, function(...any): any>} methods Methods the workers can call, by name. Can be async.
+     */
+    static serve(name, methods) {
+        if (!cluster.isPrimary) throw new Error('IPCChannel.serve must be called in the cluster primary');
+        if (typeof name != 'string') throw new TypeError('"name" must be a string');
+        cluster.on('message', async (worker, message) => {
+            if (typeof message != 'object' || message == null || message.pixsimChannel != name || message.type != 'request') return;
+            const response = { pixsimChannel: name, type: 'response', id: message.id };
+            try {
+                if (!methods.hasOwnProperty(message.method)) throw new Error(`Unknown method "${message.method}"`);
+                response.result = await methods[message.method](...message.args);
+            } catch (err) {
+                response.error = err.message;
+            }
+            if (worker.isConnected()) worker.send(response);
+        });
+    }
+    /**
+     * Send an event to every worker listening on a channel. Must be called in the primary process.
+     * @param {string} name Name of the channel.
+     * @param {string} event Name of the event.
+     * @param {any} data Data of the event. Must be serializable.
+     */
+    static broadcast(name, event, data) {
+        if (!cluster.isPrimary) throw new Error('IPCChannel.broadcast must be called in the cluster primary');
+        for (const id in cluster.workers) {
+            const worker = cluster.workers[id];
+            if (worker.isConnected()) worker.send({ pixsimChannel: name, type: 'event', event: event, data: data });
+        }
+    }
+}
+
+module.exports = IPCChannel;
\ No newline at end of file
@@ -6,6 +6,8 @@ const fspath = require('path');
  */
 class Logger {
     #file;
+    #pending = 0;
+    #flushed = [];
 
     /**
      * Create a new `Logger` in a specified directory. Creating a `Logger` will also create a `logs/` directory
@@ -57,7 +59,7 @@ class Logger {
     debug(text) {
         if (this.#file == undefined) return;
         let prefix = `${this.timestamp()} DEBUG | `;
-        fs.appendFile(this.#file, `${prefix}${text.toString().replaceAll('\n', `\n${prefix}`)}\n`, { encoding: 'utf-8' }, (err) => { if (err) console.error(err) });
+        this.#append(prefix, text);
     }
     /**
      * Append an information-level entry to the log.
@@ -66,7 +68,7 @@ class Logger {
     info(text) {
         if (this.#file == undefined) return;
         let prefix = `${this.timestamp()}  INFO | `;
-        fs.appendFile(this.#file, `${prefix}${text.toString().replaceAll('\n', `\n${prefix}`)}\n`, { encoding: 'utf-8' }, (err) => { if (err) console.error(err) });
+        this.#append(prefix, text);
     }
     /**
      * Append a warning-level entry to the log.
@@ -75,7 +77,7 @@ class Logger {
     warn(text) {
         if (this.#file == undefined) return;
         let prefix = `${this.timestamp()}  WARN | `;
-        fs.appendFile(this.#file, `${prefix}${text.toString().replaceAll('\n', `\n${prefix}`)}\n`, { encoding: 'utf-8' }, (err) => { if (err) console.error(err) });
+        this.#append(prefix, text);
     }
     /**
      * Append an error-level entry to the log.
@@ -84,7 +86,7 @@ class Logger {
     error(text) {
         if (this.#file == undefined) return;
         let prefix = `${this.timestamp()} ERROR | `;
-        fs.appendFile(this.#file, `${prefix}${text.toString().replaceAll('\n', `\n${prefix}`)}\n`, { encoding: 'utf-8' }, (err) => { if (err) console.error(err) });
+        this.#append(prefix, text);
     }
     /**
      * Append an fatal-level entry to the log.
@@ -93,18 +95,37 @@ class Logger {
     fatal(text) {
         if (this.#file == undefined) return;
         let prefix = `${this.timestamp()} FATAL | `;
-        fs.appendFile(this.#file, `${prefix}${text.toString().replaceAll('\n', `\n${prefix}`)}\n`, { encoding: 'utf-8' }, (err) => { if (err) console.error(err) });
+        this.#append(prefix, text);
     }
 
+    #append(prefix, text) {
+        this.#pending++;
+        fs.appendFile(this.#file, `${prefix}${text.toString().replaceAll('\n', `\n${prefix}`)}\n`, { encoding: 'utf-8' }, (err) => {
+            if (err) console.error(err);
+            if (--this.#pending == 0) this.#flushed.splice(0).forEach((resolve) => resolve());
+        });
+    }
+
+    /**
+     * Waits for all entries appended so far to be written.
+     * @returns {Promise} A `Promise` resolving once there are no pending writes.
+     */
+    flush() {
+        if (this.#pending == 0) return Promise.resolve();
+        return new Promise((resolve) => this.#flushed.push(resolve));
+    }
     /**
-     * Safely closes the logging session.
+     * Safely closes the logging session once all pending entries are written.
+     * @returns {Promise} A `Promise` resolving once the log file is closed.
      */
-    destroy() {
+    async destroy() {
         if (this.#file == undefined) return;
         console.log('Logger instance destroyed');
         this.info('Logger instance destroyed');
-        fs.closeSync(this.#file);
+        const file = this.#file;
         this.#file = undefined;
+        await this.flush();
+        fs.closeSync(file);
     }
 }
 
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const fspath = require('path');
+const Logger = require('./log');
+const IPCChannel = require('./ipc');
+
+/**
+ * Base class for match history and rating storage. Subclasses implement storing matches and the
+ * ratings of every game type, while lookups built on those are shared.
+ */
+class MatchStore {
+    /**
+     * Store a finished match.
+     * @param {Match} match The match.
+     */
+    async addMatch(match) {
+        throw new Error('addMatch is not implemented');
+    }
+    /**
+     * Get the matches a player played in.
+     * @param {string} username Username of the player.
+     * @returns {Promise<Array<Match>>} The matches, newest first.
+     */
+    async getMatches(username) {
+        throw new Error('getMatches is not implemented');
+    }
+    /**
+     * Get the ratings of every player of a game type.
+     * @param {string} gameType The game type.
+     * @returns {Promise<Object<string, Rating>>} The ratings by username.
+     */
+    async getRatings(gameType) {
+        throw new Error('getRatings is not implemented');
+    }
+    /**
+     * Store the rating of a player in a game type, replacing any existing rating.
+     * @param {string} username Username of the player.
+     * @param {string} gameType The game type.
+     * @param {Rating} rating The rating.
+     */
+    async setRating(username, gameType, rating) {
+        throw new Error('setRating is not implemented');
+    }
+
+    /**
+     * Get the rating of a player in a game type.
+     * @param {string} username Username of the player.
+     * @param {string} gameType The game type.
+     * @returns {Promise<Rating|null>} The rating, or `null` if the player has no rated matches of that game type.
+     */
+    async getRating(username, gameType) {
+        return (await this.getRatings(gameType))[username] ?? null;
+    }
+    /**
+     * Get the highest rated players of a game type.
+     * @param {string} gameType The game type.
+     * @param {number} limit Maximum number of players.
+     * @returns {Promise<Array<Rating & {username: string}>>} The ratings with usernames, highest first.
+     */
+    async leaderboard(gameType, limit = 100) {
+        const ratings = await this.getRatings(gameType);
+        return Object.entries(ratings).map(([username, rating]) => ({ username: username, ...rating })).sort((a, b) => b.rating - a.rating).slice(0, limit);
+    }
+}
+
+/**
+ * Stores matches and ratings in a local JSON file.
+ */
+class JSONMatchStore extends MatchStore {
+    #filePath;
+    #logger;
+    #matches = [];
+    #ratings = new Map();
+    #writing = Promise.resolve();
+
+    /**
+     * Create a new `JSONMatchStore`, loading existing matches from `filePath`. The file is created when the first match is stored.
+     * @param {string} filePath Path to the JSON file to store matches and ratings in.
+     * @param {Logger} logger `Logger` instance for logging.
+     */
+    constructor(filePath, logger) {
+        super();
+        if (typeof filePath != 'string') throw new TypeError('"filePath" must be a string');
+        this.#filePath = fspath.resolve(filePath);
+        if (logger instanceof Logger) this.#logger = logger;
+        if (fs.existsSync(this.#filePath)) {
+            try {
+                const raw = JSON.parse(fs.readFileSync(this.#filePath, 'utf8'));
+                if (raw.matches instanceof Array) this.#matches = raw.matches;
+                for (const gameType in raw.ratings) this.#ratings.set(gameType, raw.ratings[gameType]);
+            } catch (err) {
+                this.#error(`Failed to load "${this.#filePath}"`);
+                this.#error(err.stack);
+            }
+        }
+        this.#info(`Loaded ${this.#matches.length} matches`);
+    }
+
+    async addMatch(match) {
+        this.#matches.push(match);
+        await this.#save();
+    }
+    async getMatches(username) {
+        return this.#matches.filter((match) => match.teamA.includes(username) || match.teamB.includes(username)).reverse();
+    }
+    async getRatings(gameType) {
+        return { ...this.#ratings.get(gameType) };
+    }
+    async setRating(username, gameType, rating) {
+        if (!this.#ratings.has(gameType)) this.#ratings.set(gameType, {});
+        this.#ratings.get(gameType)[username] = rating;
+        await this.#save();
+    }
+
+    async #save() {
+        // writes are queued so an older write can't finish after a newer one
+        const data = JSON.stringify({ matches: this.#matches, ratings: Object.fromEntries(this.#ratings) });
+        this.#writing = this.#writing.then(() => fs.promises.writeFile(this.#filePath, data)).catch((err) => this.#error(err.stack));
+        await this.#writing;
+    }
+
+    #info(text) {
+        console.info(text);
+        if (this.#logger) this.#logger.info('[JSONMatchStore] ' + text);
+    }
+    #error(text) {
+        console.error(text);
+        if (this.#logger) this.#logger.error('[JSONMatchStore] ' + text);
+    }
+}
+/**
+ * `MatchStore` for the workers of a Node `cluster`. The matches and ratings are kept by a store in the
+ * primary process, which has to call `IPCMatchStore.serve` once, so every worker shares one ladder.
+ */
+class IPCMatchStore extends MatchStore {
+    #channel;
+
+    /**
+     * Create a new `IPCMatchStore`. Must be created in a cluster worker.
+     */
+    constructor() {
+        super();
+        this.#channel = new IPCChannel('matches');
+    }
+
+    async addMatch(match) {
+        await this.#channel.request('addMatch', match);
+    }
+    async getMatches(username) {
+        return await this.#channel.request('getMatches', username);
+    }
+    async getRatings(gameType) {
+        return await this.#channel.request('getRatings', gameType);
+    }
+    async setRating(username, gameType, rating) {
+        await this.#channel.request('setRating', username, gameType, rating);
+    }
+
+    /**
+     * Serve a `MatchStore` to the workers of a cluster. Must be called in the primary process.
+     * @param {MatchStore} store Store to keep the matches and ratings of every worker in.
+     * @returns {MatchStore} The store.
+     */
+    static serve(store) {
+        if (!(store instanceof MatchStore)) throw new TypeError('"store" must be an instance of MatchStore');
+        IPCChannel.serve('matches', {
+            addMatch: (match) => store.addMatch(match),
+            getMatches: (username) => store.getMatches(username),
+            getRatings: (gameType) => store.getRatings(gameType),
+            setRating: (username, gameType, rating) => store.setRating(username, gameType, rating)
+        });
+        return store;
+    }
+}
+/**
+ * A finished match.
+ * @typedef {{id: string, gameType: string, format: string, teamA: Array<string>, teamB: Array<string>, winner: number|null, duration: number, teamPixelAmounts: Array<Array<number>>, pixeliteCounts: Array<number>, time: number, rated: boolean, disputed: boolean, ratingChanges: Object<string, number>, replay: string|null}} Match
+ * @param id ID of the match.
+ * @param format Pixel format of `teamPixelAmounts`.
+ * @param winner Winning team (0 for team A, 1 for team B), or `null` for a draw.
+ * @param duration Length of the match in milliseconds, as reported by the host.
+ * @param time Time the match ended in milliseconds since midnight on January 1, 1970 UTC.
+ * @param rated Whether the match changed the ratings of its players.
+ * @param disputed Whether a player rejected the result reported by the host.
+ * @param ratingChanges Rating change of every player, by username. Empty if the match wasn't rated.
+ * @param replay ID of the replay of the match, or `null` if it wasn't recorded.
+ */
+/**
+ * The rating of a player in a game type.
+ * @typedef {{rating: number, games: number, wins: number, losses: number, draws: number}} Rating
+ */
+
+module.exports.MatchStore = MatchStore;
+module.exports.JSONMatchStore = JSONMatchStore;
+module.exports.IPCMatchStore = IPCMatchStore;
\ No newline at end of file
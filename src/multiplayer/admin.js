@@ -0,0 +1,196 @@
+const express = require('express');
+const { createHash, timingSafeEqual } = require('crypto');
+const { Server: SocketIO } = require('socket.io');
+const Logger = require('../log');
+
+/**
+ * Token-protected control plane for operators to inspect and act on live rooms and connections,
+ * through HTTP routes and an `/admin` Socket.IO namespace.
+ */
+class AdminPanel {
+    #api;
+    #tokenHash;
+    #logger;
+    #logEverything = false;
+
+    /**
+     * Create a new `AdminPanel` and set up its HTTP routes. The socket namespace is opened later with `attach`.
+     * @param {Express} app An Express app.
+     * @param {string} httpPath Path to open the admin routes onto.
+     * @param {PixSimAPI} api Parent `PixSimAPI` instance.
+     * @param {string} token Token needed to use the admin routes and namespace.
+     * @param {Logger} logger `Logger` instance for logging.
+     * @param {boolean} logEverything To log or not to log everything.
+     */
+    constructor(app, httpPath, api, token, logger, logEverything = false) {
+        if (typeof app != 'function' || app == null || !app.hasOwnProperty('mkcalendar') || typeof app.mkcalendar != 'function') throw new TypeError('"app" must be an Express app');
+        if (typeof httpPath != 'string') throw new TypeError('"httpPath" must be a string');
+        if (typeof token != 'string' || token.length == 0) throw new TypeError('"token" must be a non-empty string');
+        if (httpPath.endsWith('/')) httpPath = httpPath.substring(0, httpPath.length - 1);
+        this.#api = api;
+        this.#tokenHash = createHash('sha256').update(token).digest();
+        if (logger instanceof Logger) this.#logger = logger;
+        this.#logEverything = logEverything;
+        const auth = (req, res, next) => {
+            const header = req.get('authorization') ?? '';
+            if (!this.#checkToken(header.startsWith('Bearer ') ? header.substring(7) : '')) {
+                this.#warn(`Rejected admin request from ${req.ip} to ${req.path}`);
+                res.sendStatus(401);
+                return;
+            }
+            if (this.#logEverything) this.#debug(`Admin request from ${req.ip} to ${req.path}`);
+            next();
+        };
+        app.get(httpPath + '/rooms', auth, (req, res) => res.send(this.rooms()));
+        app.get(httpPath + '/connections', auth, (req, res) => res.send(this.connections()));
+        app.post(httpPath + '/rooms/:id/close', auth, (req, res) => res.sendStatus(this.closeRoom(req.params.id) ? 200 : 404));
+        app.post(httpPath + '/connections/:id/kick', auth, express.json(), (req, res) => res.sendStatus(this.kick(req.params.id, req.body?.reason) ? 200 : 404));
+        app.post(httpPath + '/connections/:id/ban', auth, (req, res) => {
+            if (this.#api.banList == null) res.sendStatus(409);
+            else res.sendStatus(this.ban(req.params.id) ? 200 : 404);
+        });
+        app.post(httpPath + '/broadcast', auth, express.json(), (req, res) => res.sendStatus(this.broadcast(req.body?.message) ? 200 : 400));
+    }
+
+    /**
+     * Open the `/admin` namespace on a Socket.IO server. Clients must send the token as `auth.token` when connecting.
+     * @param {SocketIO} io Socket.IO server to open the namespace on.
+     */
+    attach(io) {
+        if (!(io instanceof SocketIO)) throw new TypeError('"io" must be a socket.io server');
+        const namespace = io.of('/admin');
+        namespace.use((socket, next) => {
+            if (this.#checkToken(socket.handshake.auth?.token)) next();
+            else {
+                this.#warn(`Rejected admin connection from ${socket.handshake.address}`);
+                next(new Error('Unauthorized'));
+            }
+        });
+        namespace.on('connection', (socket) => {
+            this.#info(`Admin connection from ${socket.handshake.address}`);
+            socket.on('listRooms', () => socket.emit('rooms', this.rooms()));
+            socket.on('listConnections', () => socket.emit('connections', this.connections()));
+            socket.on('closeRoom', (id) => socket.emit('actionResult', { action: 'closeRoom', success: this.closeRoom(id) }));
+            socket.on('kick', (data) => socket.emit('actionResult', { action: 'kick', success: typeof data == 'object' && data != null && this.kick(data.id, data.reason) }));
+            socket.on('ban', (id) => socket.emit('actionResult', { action: 'ban', success: this.ban(id) }));
+            socket.on('broadcast', (message) => socket.emit('actionResult', { action: 'broadcast', success: this.broadcast(message) }));
+            socket.on('disconnect', () => this.#info(`Admin disconnection from ${socket.handshake.address}`));
+        });
+    }
+
+    /**
+     * Lists all rooms.
+     * @returns {Array<RoomInfo>} Information on every room.
+     */
+    rooms() {
+        const now = Date.now();
+        return this.#api.rooms.map((room) => ({
+            id: room.id,
+            host: room.hostName,
+            hostClient: room.hostClient,
+            gameType: room.gameType,
+            state: room.state,
+            isPublic: room.isPublic,
+            hasPassword: room.hasPassword,
+            teamSize: room.teamSize,
+            ...room.teams,
+            uptime: now - room.created
+        }));
+    }
+    /**
+     * Lists all connections.
+     * @returns {Array<ConnectionInfo>} Information on every connection.
+     */
+    connections() {
+        const now = Date.now();
+        return this.#api.connections.map((handler) => ({
+            id: handler.id,
+            username: handler.username,
+            ip: handler.ip,
+            clientType: handler.clientType,
+            authenticated: handler.authenticated,
+            room: handler.currentRoom?.id ?? null,
+            uptime: now - handler.connectedAt
+        }));
+    }
+    /**
+     * Force-close a room.
+     * @param {string} id ID (game code) of the room.
+     * @returns {boolean} If the room existed.
+     */
+    closeRoom(id) {
+        const room = this.#api.rooms.find((room) => room.id == id);
+        if (room == null) return false;
+        this.#info(`Force-closed game ${id}`);
+        room.destroy();
+        return true;
+    }
+    /**
+     * Kick a connection from the server.
+     * @param {string} id ID of the connection.
+     * @param {string} reason Reason sent to the client and shown in logs.
+     * @returns {boolean} If the connection existed.
+     */
+    kick(id, reason = 'Kicked by admin') {
+        const handler = this.#api.connections.find((handler) => handler.id == id);
+        if (handler == null) return false;
+        if (typeof reason != 'string') reason = 'Kicked by admin';
+        this.#info(`Kicked ${handler.debugId} - ${reason}`);
+        handler.send('serverKicked', reason);
+        handler.destroy('Kicked by admin', true);
+        return true;
+    }
+    /**
+     * Ban the username and IP address of a connection on the server-wide ban list and kick it.
+     * @param {string} id ID of the connection.
+     * @returns {boolean} If the connection existed and the server has a ban list.
+     */
+    ban(id) {
+        const handler = this.#api.connections.find((handler) => handler.id == id);
+        if (handler == null || this.#api.banList == null) return false;
+        this.#info(`Banned ${handler.debugId}`);
+        this.#api.banList.banUsername(handler.username);
+        this.#api.banList.banIp(handler.ip);
+        handler.send('banned');
+        handler.destroy('Banned from server', true);
+        return true;
+    }
+    /**
+     * Send a server message to all connections.
+     * @param {string} message Message to send.
+     * @returns {boolean} If the message was sent.
+     */
+    broadcast(message) {
+        if (typeof message != 'string' || message.length == 0) return false;
+        this.#info(`Broadcast "${message}"`);
+        this.#api.broadcast(message);
+        return true;
+    }
+
+    #checkToken(token) {
+        if (typeof token != 'string') return false;
+        return timingSafeEqual(createHash('sha256').update(token).digest(), this.#tokenHash);
+    }
+
+    #debug(text) {
+        if (this.#logger) this.#logger.debug('[AdminPanel] ' + text);
+    }
+    #info(text) {
+        console.info(text);
+        if (this.#logger) this.#logger.info('[AdminPanel] ' + text);
+    }
+    #warn(text) {
+        console.warn(text);
+        if (this.#logger) this.#logger.warn('[AdminPanel] ' + text);
+    }
+}
+/**
+ * Room information listed by the admin panel.
+ * @typedef {{id: string, host: string, hostClient: string, gameType: string, state: string, isPublic: boolean, hasPassword: boolean, teamSize: number, teamA: Array<string>, teamB: Array<string>, spectators: Array<string>, disconnected: Array<string>, uptime: number}} RoomInfo
+ */
+/**
+ * Connection information listed by the admin panel.
+ * @typedef {{id: string, username: string, ip: string, clientType: string, authenticated: boolean, room: string|null, uptime: number}} ConnectionInfo
+ */
+
+module.exports = AdminPanel;
\ No newline at end of file
@@ -0,0 +1,206 @@
+const fs = require("fs");
+const path = require("path");
+const Logger = require("../log");
+const IPCChannel = require("../ipc");
+
+/**
+ * BanList keeps a server-wide list of banned usernames and IP addresses, persisted to a JSON file.
+ */
+class BanList {
+    #filePath;
+    #logger;
+    #logEverything = false;
+    #usernames = new Set();
+    #ips = new Set();
+    #writing = Promise.resolve();
+
+    /**
+     * Create a new BanList and load existing bans from `filePath`. The file is created when a ban is first added.
+     * @param {string|null} filePath Path to the JSON file to store bans in, or `null` to only keep them in memory.
+     * @param {Logger} logger `Logger` instance for logging.
+     * @param {boolean} logEverything To log or not to log everything.
+     */
+    constructor(filePath, logger, logEverything = false) {
+        if (typeof filePath != 'string' && filePath !== null) throw new TypeError('"filePath" must be a string or null');
+        this.#filePath = filePath != null ? path.resolve(filePath) : null;
+        if (logger instanceof Logger) this.#logger = logger;
+        this.#logEverything = logEverything;
+        if (this.#filePath == null) return;
+        if (fs.existsSync(this.#filePath)) {
+            try {
+                const raw = JSON.parse(fs.readFileSync(this.#filePath, 'utf8'));
+                if (raw.usernames instanceof Array) raw.usernames.forEach((username) => this.#usernames.add(username));
+                if (raw.ips instanceof Array) raw.ips.forEach((ip) => this.#ips.add(ip));
+            } catch (err) {
+                this.#error(`Failed to load "${this.#filePath}"`);
+                this.#error(err.stack);
+            }
+        }
+        this.#info(`Loaded ${this.#usernames.size} username bans and ${this.#ips.size} IP bans`);
+    }
+
+    /**
+     * Check if a username or IP address is banned.
+     * @param {string} username Username to check.
+     * @param {string} ip IP address to check.
+     * @returns {boolean} If either the username or the IP address is banned.
+     */
+    isBanned(username, ip) {
+        return this.#usernames.has(username) || this.#ips.has(ip);
+    }
+    /**
+     * Ban a username from the server.
+     * @param {string} username Username to ban.
+     */
+    banUsername(username) {
+        if (typeof username != 'string' || this.#usernames.has(username)) return;
+        this.#usernames.add(username);
+        this.#info(`Banned username "${username}"`);
+        this.#save();
+    }
+    /**
+     * Remove the ban on a username.
+     * @param {string} username Username to unban.
+     */
+    unbanUsername(username) {
+        if (!this.#usernames.delete(username)) return;
+        this.#info(`Unbanned username "${username}"`);
+        this.#save();
+    }
+    /**
+     * Ban an IP address from the server.
+     * @param {string} ip IP address to ban.
+     */
+    banIp(ip) {
+        if (typeof ip != 'string' || this.#ips.has(ip)) return;
+        this.#ips.add(ip);
+        this.#info(`Banned IP ${ip}`);
+        this.#save();
+    }
+    /**
+     * Remove the ban on an IP address.
+     * @param {string} ip IP address to unban.
+     */
+    unbanIp(ip) {
+        if (!this.#ips.delete(ip)) return;
+        this.#info(`Unbanned IP ${ip}`);
+        this.#save();
+    }
+
+    /**
+     * Replace every ban without logging the changes. Used to keep copies of a ban list in sync.
+     * @param {Array<string>} usernames Banned usernames.
+     * @param {Array<string>} ips Banned IP addresses.
+     */
+    replace(usernames, ips) {
+        if (!(usernames instanceof Array) || !(ips instanceof Array)) throw new TypeError('"usernames" and "ips" must be arrays');
+        this.#usernames = new Set(usernames);
+        this.#ips = new Set(ips);
+        this.#save();
+    }
+
+    #save() {
+        if (this.#filePath == null) return;
+        // writes are queued so an older write can't finish after a newer one
+        const data = JSON.stringify({ usernames: Array.from(this.#usernames), ips: Array.from(this.#ips) }, null, 4);
+        this.#writing = this.#writing.then(() => fs.promises.writeFile(this.#filePath, data)).then(() => {
+            if (this.#logEverything) this.#debug(`Wrote "${this.#filePath}"`);
+        }).catch((err) => this.#error(err.stack));
+    }
+
+    /**
+     * An `Array<string>` of all banned usernames.
+     */
+    get usernames() {
+        return Array.from(this.#usernames);
+    }
+    /**
+     * An `Array<string>` of all banned IP addresses.
+     */
+    get ips() {
+        return Array.from(this.#ips);
+    }
+
+    #debug(text) {
+        if (this.#logger) this.#logger.debug('[BanList] ' + text);
+    }
+    #info(text) {
+        console.info(text);
+        if (this.#logger) this.#logger.info('[BanList] ' + text);
+    }
+    #warn(text) {
+        console.warn(text);
+        if (this.#logger) this.#logger.warn('[BanList] ' + text);
+    }
+    #error(text) {
+        console.error(text);
+        if (this.#logger) this.#logger.error('[BanList] ' + text);
+    }
+}
+
+/**
+ * `BanList` for the workers of a Node `cluster`. The bans are kept by a `BanList` in the primary process,
+ * which has to call `IPCBanList.serve` once. Every worker holds a copy, so checking bans stays synchronous,
+ * and changes are sent to the primary, which passes the new list to every worker.
+ */
+class IPCBanList extends BanList {
+    #channel;
+
+    /**
+     * Create a new `IPCBanList` and load the bans from the primary. Must be created in a cluster worker.
+     * @param {Logger} logger `Logger` instance for logging.
+     * @param {boolean} logEverything To log or not to log everything.
+     */
+    constructor(logger, logEverything = false) {
+        super(null, logger, logEverything);
+        this.#channel = new IPCChannel('bans');
+        this.#channel.on('update', ({ usernames, ips }) => this.replace(usernames, ips));
+        this.#channel.request('list').then(({ usernames, ips }) => this.replace(usernames, ips), (err) => console.error(err.stack));
+    }
+
+    banUsername(username) {
+        super.banUsername(username);
+        this.#send('banUsername', username);
+    }
+    unbanUsername(username) {
+        super.unbanUsername(username);
+        this.#send('unbanUsername', username);
+    }
+    banIp(ip) {
+        super.banIp(ip);
+        this.#send('banIp', ip);
+    }
+    unbanIp(ip) {
+        super.unbanIp(ip);
+        this.#send('unbanIp', ip);
+    }
+
+    #send(method, value) {
+        this.#channel.request(method, value).catch((err) => console.error(err.stack));
+    }
+
+    /**
+     * Serve a `BanList` to the workers of a cluster. Must be called in the primary process.
+     * @param {BanList} banList Ban list to keep the bans of every worker in.
+     * @returns {BanList} The ban list.
+     */
+    static serve(banList) {
+        if (!(banList instanceof BanList)) throw new TypeError('"banList" must be an instance of BanList');
+        const list = () => ({ usernames: banList.usernames, ips: banList.ips });
+        const change = (method) => (value) => {
+            banList[method](value);
+            IPCChannel.broadcast('bans', 'update', list());
+        };
+        IPCChannel.serve('bans', {
+            list: list,
+            banUsername: change('banUsername'),
+            unbanUsername: change('unbanUsername'),
+            banIp: change('banIp'),
+            unbanIp: change('unbanIp')
+        });
+        return banList;
+    }
+}
+
+module.exports.BanList = BanList;
+module.exports.IPCBanList = IPCBanList;
\ No newline at end of file
@@ -0,0 +1,274 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Codecs between the map formats of the games and the PixSim Standard run lists used by `MapManager`.
+ * `decode` turns a map file into `{data, placeableData, teamData}` runs of standard IDs, `encode` turns
+ * those runs back into the encoded strings of the format. `id` is the client type using the codec, so
+ * that forks of a game can share a codec while using their own pixel IDs.
+ */
+const mapCodecs = {
+    rps: {
+        decode(map, converter, id) {
+            const decoded = { data: [], placeableData: [[], []], teamData: [] };
+            const tokens = map.data.split(':');
+            tokens.pop();
+            for (let str of tokens) {
+                let t = str.split('-');
+                decoded.data.push([converter.convertStr(t[0], id, 'standard'), parseInt(t[1] ?? 1, 16)]);
+            }
+            for (let i in map.placeableData) {
+                const tokens = map.placeableData[i].split(':');
+                tokens.pop();
+                let curr = 0;
+                for (let s of tokens) {
+                    decoded.placeableData[i].push([curr, parseInt(s, 16)]);
+                    curr = (curr + 1) % 2;
+                }
+            }
+            const tokensoneandahalf = map.teamData.split(':');
+            tokensoneandahalf.pop();
+            for (let str of tokensoneandahalf) {
+                let t = str.split('-');
+                decoded.teamData.push([parseInt(t[0]), parseInt(t[1], 16)]);
+            }
+            return decoded;
+        },
+        encode(mapData, converter, id) {
+            const encoded = { data: '', placeableData: [], teamData: [] };
+            for (let pair of mapData.data) {
+                encoded.data += `${converter.convertStr(pair[0], 'standard', id)}-${pair[1].toString(16)}:`;
+            }
+            for (let placeableData of mapData.placeableData) {
+                let curr = 0;
+                let len = 0;
+                let data = '';
+                for (let pair of placeableData) {
+                    if (pair[0] != curr) {
+                        data += len.toString(16) + ':';
+                        len = 0;
+                        curr = pair[0];
+                    }
+                    len += pair[1];
+                }
+                encoded.placeableData.push(data);
+            }
+            for (let pair of mapData.teamData) {
+                encoded.teamData += `${pair[0]}-${pair[1].toString(16)}:`;
+            }
+            return encoded;
+        }
+    },
+    bps: {
+        decode(map, converter, id) {
+            const decoded = { data: [], placeableData: [[], []], teamData: [] };
+            const tokens2 = map.data.split(':');
+            const tokens2andahalf = map.rotationData.split(':');
+            tokens2.pop();
+            tokens2andahalf.pop();
+            const grid1 = new Array(map.width * map.height);
+            const grid2 = new Array(map.width * map.height);
+            let i = 0;
+            for (let str of tokens2) {
+                let t = str.split('-');
+                let n = parseInt(t[1] ?? 1, 36);
+                for (let j = 0; j < n; j++) {
+                    grid1[i++] = t[0];
+                }
+            }
+            for (let str of tokens2andahalf) {
+                let t = str.split('-');
+                let n = parseInt(t[1] ?? 1, 36);
+                for (let j = 0; j < n; j++) {
+                    grid2[i++] = t[0];
+                }
+            }
+            let len = 0;
+            let curr1 = grid1[0];
+            let curr2 = grid2[0];
+            for (let i = 0; i < grid1.length; i++) {
+                if (grid1[i] != curr1 || curr2 != grid2[i]) {
+                    decoded.data.push([converter.convertStr(curr1 + curr2, id, 'standard'), len]);
+                    len = 0;
+                    curr1 = grid1[i];
+                    curr2 = grid2[i];
+                }
+                len++;
+            }
+            for (let i in map.placeableData) {
+                const tokens = map.placeableData[i].split(':');
+                tokens.pop();
+                for (let s of tokens) {
+                    let s1 = s.split('-');
+                    decoded.placeableData[i].push([parseInt(s1[0]), parseInt(s1[1], 36)]);
+                }
+            }
+            const tokenstwoandthreequarters = map.teamData.split(':');
+            tokenstwoandthreequarters.pop();
+            for (let str of tokenstwoandthreequarters) {
+                let t = str.split('-');
+                decoded.teamData.push([parseInt(t[0]), parseInt(t[1], 36)]);
+            }
+            return decoded;
+        },
+        encode(mapData, converter, id) {
+            const encoded = { data: '', placeableData: [], teamData: [] };
+            for (let pair of mapData.data) {
+                encoded.data += `${converter.convertStr(pair[0], 'standard', id)}-${pair[1].toString(36)}:`;
+            }
+            for (let placeableData of mapData.placeableData) {
+                let data = '';
+                for (let pair of placeableData) {
+                    data += `${pair[0]}-${pair[1].toString(36)}:`;
+                }
+                encoded.placeableData.push(data);
+            }
+            for (let pair of mapData.teamData) {
+                encoded.teamData += `${pair[0]}-${pair[1].toString(36)}:`;
+            }
+            return encoded;
+        }
+    },
+    psp: {
+        decode(map, converter, id) {
+            const decoded = { data: [], placeableData: [[], []], teamData: [] };
+            const tokens3 = map.data.split('|');
+            tokens3.pop();
+            for (let str of tokens3) {
+                let t = str.split('~');
+                // have to get rid of extra pixel data as is not supported officially (oh no!)
+                decoded.data.push([converter.convertStr(t[0].split('`')[0], id, 'standard'), parseInt(t[1] ?? 1)]);
+            }
+            // no placeable grid or team grid...
+            return decoded;
+        },
+        encode(mapData, converter, id) {
+            const encoded = { data: '', placeableData: [], teamData: '' };
+            for (let pair of mapData.data) {
+                encoded.data += `${converter.convertStr(pair[0], 'standard', id)}~${pair[1].toString(36)}|`;
+            }
+            for (let placeableData of mapData.placeableData) {
+                let data = '';
+                for (let pair of placeableData) {
+                    data += `${pair[0]}~${pair[1].toString(36)}|`;
+                }
+                encoded.placeableData.push(data);
+            }
+            for (let pair of mapData.teamData) {
+                encoded.teamData += `${pair[0]}~${pair[1].toString(36)}|`;
+            }
+            return encoded;
+        }
+    }
+};
+
+/**
+ * Registry of the game clients that can connect to the API. A client type is declared once, with the ID
+ * it sends in the `clientInfo` handshake (which is also its pixel format and column in the pixel lookup
+ * table), where to load its pixel table from, and the codec for its map format.
+ */
+class ClientTypeRegistry {
+    #types = new Map();
+
+    /**
+     * Create a new `ClientTypeRegistry`.
+     * @param {Array<ClientType>} clientTypes Client types to register.
+     */
+    constructor(clientTypes = []) {
+        if (!(clientTypes instanceof Array)) throw new TypeError('"clientTypes" must be an array');
+        for (const clientType of clientTypes) this.register(clientType);
+    }
+
+    /**
+     * Register a client type.
+     * @param {ClientType} clientType Client type to register.
+     */
+    register(clientType) {
+        if (typeof clientType != 'object' || clientType == null) throw new TypeError('"clientType" must be an object');
+        if (typeof clientType.id != 'string' || clientType.id.length == 0 || clientType.id == 'standard') throw new TypeError(`Invalid client type id "${clientType.id}"`);
+        if (!mapCodecs.hasOwnProperty(clientType.codec)) throw new TypeError(`Unknown map codec "${clientType.codec}" for client type "${clientType.id}"`);
+        if (clientType.pixels != null && (typeof clientType.pixels.url != 'string' || typeof clientType.pixels.extractor != 'string')) throw new TypeError(`Invalid pixel table source for client type "${clientType.id}"`);
+        this.#types.set(clientType.id, {
+            id: clientType.id,
+            name: clientType.name ?? clientType.id,
+            codec: clientType.codec,
+            pixels: clientType.pixels ?? null
+        });
+    }
+    /**
+     * Check if a client type is registered.
+     * @param {string} id ID of the client type.
+     * @returns {boolean} If the client type is registered.
+     */
+    has(id) {
+        return this.#types.has(id);
+    }
+    /**
+     * Get a registered client type.
+     * @param {string} id ID of the client type.
+     * @returns {ClientType|null} The client type, or `null` if it isn't registered.
+     */
+    get(id) {
+        return this.#types.get(id) ?? null;
+    }
+    /**
+     * Get the map codec of a client type.
+     * @param {string} id ID of the client type.
+     * @returns {MapCodec|null} The codec, or `null` if the client type isn't registered.
+     */
+    codecOf(id) {
+        return this.#types.has(id) ? mapCodecs[this.#types.get(id).codec] : null;
+    }
+
+    /**
+     * An `Array<string>` of the IDs of all registered client types.
+     */
+    get ids() {
+        return Array.from(this.#types.keys());
+    }
+    /**
+     * The pixel table sources of all client types that have one enabled, as `PixelFormat`s for `PixelConverter`.
+     */
+    get pixelFormats() {
+        const formats = [];
+        for (const clientType of this.#types.values()) {
+            if (clientType.pixels == null || clientType.pixels.enabled === false) continue;
+            formats.push({
+                id: clientType.id,
+                url: clientType.pixels.url,
+                fallback: clientType.pixels.fallback,
+                extractor: clientType.pixels.extractor
+            });
+        }
+        return formats;
+    }
+
+    /**
+     * Create a `ClientTypeRegistry` from a JSON file containing an array of client types.
+     * @param {string} filePath Path to the JSON file.
+     * @returns {ClientTypeRegistry} The new registry.
+     */
+    static fromFile(filePath) {
+        return new ClientTypeRegistry(JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8')));
+    }
+    /**
+     * An `Array<string>` of the names of the available map codecs.
+     */
+    static get mapCodecs() {
+        return Object.keys(mapCodecs);
+    }
+}
+/**
+ * A game client that can connect to the API.
+ * @typedef {{id: string, name: string, codec: string, pixels: {url: string, fallback: string|undefined, extractor: string, enabled: boolean|undefined}|null}} ClientType
+ * @param id ID sent in the `clientInfo` handshake, also used as the pixel format and pixel lookup table column.
+ * @param name Display name of the game.
+ * @param codec Name of the map codec (see `ClientTypeRegistry.mapCodecs`).
+ * @param pixels Source of the pixel table for `PixelConverter`, or `null` if the game has no loadable pixel table. Set `enabled` to `false` to keep the source without loading it.
+ */
+/**
+ * Converts maps between a game's format and PixSim Standard run lists.
+ * @typedef {{decode: function(object, PixelConverter, string): object, encode: function(object, PixelConverter, string): object}} MapCodec
+ */
+
+module.exports = ClientTypeRegistry;
\ No newline at end of file
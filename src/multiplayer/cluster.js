@@ -0,0 +1,140 @@
+const cluster = require('cluster');
+const net = require('net');
+const { Server } = require('http');
+const { IPCRoomRegistry, LocalRoomRegistry } = require('./registry');
+
+/**
+ * Runs several PixSim API processes behind one port using Node's `cluster` module. The primary process
+ * accepts every TCP connection and hands it to a worker: requests for a room (the `room` query parameter)
+ * go to the process owning that room, new WebSocket connections are spread between the workers, and
+ * everything else sticks to a worker by client address so Socket.IO long-polling keeps working.
+ *
+ * Rooms, bans, accounts, and matches are shared between the workers, but the rest of the state of each
+ * worker is its own. The matchmaker would only match players connected to the same worker and the admin
+ * panel would only see the rooms and connections of one worker, so neither can be used with a cluster.
+ * Metrics are collected per worker, and are served by whichever worker the scraper sticks to. Rate limits
+ * and temporary IP bans are also kept per worker, so a client spreading its connections over the workers
+ * gets up to the limits of every worker.
+ */
+class ClusterRouter {
+    #workers = [];
+    #registry;
+    #server;
+    #nextWorker = 0;
+    #closing = false;
+    #exited = null;
+
+    /**
+     * Fork the workers and start routing connections. Must be created in the cluster primary.
+     * @param {number} port Port to listen on.
+     * @param {number} workers Number of worker processes.
+     */
+    constructor(port, workers) {
+        if (!cluster.isPrimary) throw new Error('ClusterRouter must be created in the cluster primary');
+        if (typeof workers != 'number' || !Number.isInteger(workers) || workers < 1) throw new TypeError('"workers" must be a positive integer');
+        this.#registry = IPCRoomRegistry.serve(new LocalRoomRegistry('primary'));
+        for (let i = 0; i < workers; i++) this.#workers.push(cluster.fork());
+        cluster.on('exit', (worker, code, signal) => {
+            const index = this.#workers.indexOf(worker);
+            if (index == -1 || this.#closing) return;
+            console.warn(`PixSim worker ${worker.id} exited (${signal ?? code}), restarting`);
+            this.#workers[index] = cluster.fork();
+        });
+        this.#server = net.createServer({ pauseOnConnect: true }, (socket) => {
+            socket.once('data', (data) => {
+                socket.pause();
+                const worker = this.#route(data, socket.remoteAddress ?? '');
+                worker.send({ pixsimConnection: true, data: data.toString('base64') }, socket, (err) => {
+                    if (err) socket.destroy();
+                });
+            });
+            socket.on('error', () => socket.destroy());
+            socket.resume();
+        });
+        this.#server.listen(port);
+        console.info(`PixSim cluster listening on port ${port} with ${workers} workers`);
+    }
+
+    #route(data, address) {
+        // only the request line is needed, which is always in the first packet
+        const requestLine = data.toString('latin1', 0, Math.min(data.length, 2048)).split('\r\n')[0];
+        const target = requestLine.split(' ')[1] ?? '';
+        const query = new URLSearchParams(target.includes('?') ? target.substring(target.indexOf('?') + 1) : '');
+        if (query.has('room')) {
+            const room = this.#registry.listSync().find((room) => room.code == query.get('room'));
+            const owner = room && this.#workers.find((worker) => worker.id == room.process);
+            if (owner) return owner;
+        }
+        if (query.get('transport') == 'websocket' && !query.has('sid')) {
+            this.#nextWorker = (this.#nextWorker + 1) % this.#workers.length;
+            return this.#workers[this.#nextWorker];
+        }
+        let hash = 0;
+        for (let i = 0; i < address.length; i++) hash = (hash * 31 + address.charCodeAt(i)) >>> 0;
+        return this.#workers[hash % this.#workers.length];
+    }
+
+    /**
+     * The workers of the cluster.
+     */
+    get workers() {
+        return [...this.#workers];
+    }
+    /**
+     * The registry holding the room listings of all workers.
+     */
+    get registry() {
+        return this.#registry;
+    }
+
+    /**
+     * Stops accepting connections and tells the workers to shut down. Workers first wait for their running
+     * games to finish, and close immediately if `close` is called again with `force`.
+     * @param {boolean} force Close the workers without waiting for their games.
+     * @returns {Promise} A `Promise` resolving once every worker has exited.
+     */
+    close(force = false) {
+        if (!this.#closing) {
+            this.#closing = true;
+            this.#server.close();
+            this.#exited = Promise.all(this.#workers.map((worker) => new Promise((resolve) => {
+                if (worker.isDead()) return resolve();
+                worker.once('exit', resolve);
+            })));
+        }
+        for (const worker of this.#workers) {
+            if (worker.isConnected()) worker.send({ pixsimShutdown: force ? 'close' : 'drain' });
+        }
+        return this.#exited;
+    }
+
+    /**
+     * Listens for the primary telling this worker to shut down. Must be called in a cluster worker. Losing
+     * the connection to the primary counts as being told to close immediately.
+     * @param {function(boolean): void} listener Called with `false` to finish running games first, or `true` to close immediately.
+     */
+    static onShutdown(listener) {
+        if (!cluster.isWorker) throw new Error('ClusterRouter.onShutdown must be called in a cluster worker');
+        process.on('message', (message) => {
+            if (typeof message != 'object' || message == null || message.pixsimShutdown == undefined) return;
+            listener(message.pixsimShutdown == 'close');
+        });
+        process.on('disconnect', () => listener(true));
+    }
+    /**
+     * Accepts the connections the primary hands to this worker on an HTTP server. Must be called in a cluster worker.
+     * @param {Server} server The HTTP server of the worker, which should not listen on a port itself.
+     */
+    static attach(server) {
+        if (!cluster.isWorker) throw new Error('ClusterRouter.attach must be called in a cluster worker');
+        if (!(server instanceof Server)) throw new TypeError('"server" must be an HTTP server');
+        process.on('message', (message, socket) => {
+            if (typeof message != 'object' || message == null || !message.pixsimConnection || socket == undefined) return;
+            server.emit('connection', socket);
+            socket.emit('data', Buffer.from(message.data, 'base64'));
+            socket.resume();
+        });
+    }
+}
+
+module.exports = ClusterRouter;
\ No newline at end of file
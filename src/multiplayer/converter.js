@@ -9,6 +9,8 @@ class PixelConverter {
     #ready;
     #tables = new Map();
     #idTables = new Map();
+    #convertGridCount = 0;
+    #convertGridTime = 0;
 
     /**
      * Create a new `PixelConverter`, loading and parsing the remote files. Not necessary (and inefficient) to do more than once.
@@ -16,12 +18,14 @@ class PixelConverter {
      * @param {Logger} logger `Logger` instance.
      * @param {boolean} logEverything To log or not to log everything.
      * @param {boolean} allowCache Whether JSLoader is allowed to use the file cache or not.
+     * @param {Object<string, {url: string, fallback: string}>} tables Pixel table URLs by format ID, replacing the URLs of `formats`.
      */
-    constructor(formats, logger, logEverything = false, allowCache = true) {
+    constructor(formats, logger, logEverything = false, allowCache = true, tables = {}) {
         const loaders = [];
         for (let i in formats) {
-            loaders.push(new JSLoader(formats[i].url, {
-                fallback: formats[i].fallback,
+            const table = tables[formats[i].id];
+            loaders.push(new JSLoader(table?.url ?? formats[i].url, {
+                fallback: table != undefined ? table.fallback : formats[i].fallback,
                 logger: logger,
                 logEverything, logEverything,
                 allowCache: allowCache,
@@ -141,19 +145,22 @@ class PixelConverter {
      */
     convertGrid(grid, from, to) {
         if (this.#tables.has(from) && this.#tables.has(to)) {
+            const start = performance.now();
             const fromTable = this.#tables.get(from).from;
             const toTable = this.#tables.get(to).to;
             const newGrid = Buffer.from(grid);
             let i = 0;
             while (i < grid.length) {
-                header = compressed[i++];
+                let header = grid[i++];
                 for (let j = 0; j < 8 && i < grid.length; j++) {
                     newGrid[i] = toTable[fromTable[grid[i]]] ?? 255;
-                    if (header & 0b10000000 == 0) i++;
+                    if ((header & 0b10000000) == 0) i++;
                     i++;
                     header <<= 1;
                 }
             }
+            this.#convertGridCount++;
+            this.#convertGridTime += performance.now() - start;
             return newGrid;
         } else return grid;
     }
@@ -179,12 +186,47 @@ class PixelConverter {
         return Array.from(this.#tables.keys());
     }
 
+    /**
+     * Number of grids remapped by `convertGrid`.
+     */
+    get convertGridCount() {
+        return this.#convertGridCount;
+    }
+    /**
+     * Total milliseconds spent remapping grids in `convertGrid`.
+     */
+    get convertGridTime() {
+        return this.#convertGridTime;
+    }
+
+    /**
+     * The numerical ID tables of all loaded formats, as an object of `{from, to}` lookup arrays by format. Can be
+     * sent to worker threads and loaded with `PixelConverter.fromTables`.
+     */
+    get tables() {
+        const tables = {};
+        for (const [format, table] of this.#tables) tables[format] = { from: table.from, to: table.to };
+        return tables;
+    }
+
     /**
      * A `Promise` representing if the files have been loaded and the pixel data been extracted.
      */
     get ready() {
         return this.#ready;
     }
+
+    /**
+     * Create a `PixelConverter` from the numerical ID tables of another, without loading any remote files.
+     * Only numerical IDs can be converted by the new `PixelConverter`.
+     * @param {object} tables Tables from `PixelConverter.tables`.
+     * @returns {PixelConverter} The new `PixelConverter`.
+     */
+    static fromTables(tables) {
+        const converter = new PixelConverter([]);
+        for (const format in tables) converter.#tables.set(format, { from: tables[format].from, to: tables[format].to });
+        return converter;
+    }
 }
 
 // It's pretty clear I don't know what I'm doing, especially trying to do this without TypeScript
@@ -0,0 +1,63 @@
+/**
+ * Encodes and applies changes between grid `Buffer`s, so only the parts of a grid that changed have to be sent.
+ * A delta is a list of changed runs, each being a 32-bit big-endian offset, followed by a 16-bit big-endian
+ * length and then the new bytes of the run.
+ */
+class GridDelta {
+    /**
+     * Encodes the changes between two `Buffer`s of equal length.
+     * @param {Buffer} prev Previous `Buffer`.
+     * @param {Buffer} curr New `Buffer`.
+     * @returns {Buffer|null} Encoded changes, or `null` if the lengths differ or the delta is not smaller than `curr`.
+     */
+    static encode(prev, curr) {
+        if (prev.length != curr.length) return null;
+        const runs = [];
+        let size = 0;
+        let i = 0;
+        while (i < curr.length) {
+            if (prev[i] == curr[i]) {
+                i++;
+                continue;
+            }
+            // merge runs separated by less than a run header worth of unchanged bytes
+            let start = i;
+            let end = i + 1;
+            for (let j = i + 1; j < curr.length && j - end < 6 && j - start < 65535; j++) {
+                if (prev[j] != curr[j]) end = j + 1;
+            }
+            runs.push([start, end]);
+            size += 6 + end - start;
+            if (size >= curr.length) return null;
+            i = end;
+        }
+        const delta = Buffer.alloc(size);
+        let offset = 0;
+        for (const [start, end] of runs) {
+            delta.writeUInt32BE(start, offset);
+            delta.writeUInt16BE(end - start, offset + 4);
+            curr.copy(delta, offset + 6, start, end);
+            offset += 6 + end - start;
+        }
+        return delta;
+    }
+    /**
+     * Applies encoded changes to a copy of a `Buffer`.
+     * @param {Buffer} base `Buffer` the changes were encoded against.
+     * @param {Buffer} delta Encoded changes.
+     * @returns {Buffer} A new `Buffer` with the changes applied.
+     */
+    static apply(base, delta) {
+        const result = Buffer.from(base);
+        let offset = 0;
+        while (offset + 6 <= delta.length) {
+            const start = delta.readUInt32BE(offset);
+            const length = delta.readUInt16BE(offset + 4);
+            delta.copy(result, start, offset + 6, offset + 6 + length);
+            offset += 6 + length;
+        }
+        return result;
+    }
+}
+
+module.exports = GridDelta;
\ No newline at end of file
@@ -1,25 +1,86 @@
 const { Server } = require('http');
-const { webcrypto, randomBytes } = require('crypto');
+const { EventEmitter } = require('events');
+const os = require('os');
+const { webcrypto, randomBytes, createHash, timingSafeEqual } = require('crypto');
 const { Server: SocketIO, Socket } = require('socket.io');
 const Logger = require('../log');
+const Config = require('../config');
+const { AccountStore, JSONAccountStore } = require('../accounts');
+const { MatchStore, JSONMatchStore } = require('../matches');
 const PixelConverter = require('./converter');
 const MapManager = require('./maps');
+const ClientTypeRegistry = require('./clients');
 const ControllerManager = require('./controllers');
+const { BanList } = require('./bans');
+const ReplayManager = require('./replays');
+const Ladder = require('./ladder');
+const AdminPanel = require('./admin');
+const Metrics = require('./metrics');
+const RateLimiter = require('./ratelimit');
+const EventValidator = require('./schemas');
+const TickWorkerPool = require('./workers');
+const TickProcessor = require('./tickworker');
+const { RoomRegistry, LocalRoomRegistry } = require('./registry');
 
 /**
  * A full API opening on an HTTP server utilizing Socket.IO.
+ *
+ * Code embedding the API can observe it through these events:
+ * - `connection` (handler): A client finished the handshake.
+ * - `disconnection` (handler, reason, kicked): A client disconnected or was kicked by the server.
+ * - `roomCreated` (room): A game room was created.
+ * - `roomStarted` (room): A game passed the ready check and started forwarding ticks.
+ * - `roomClosed` (room, result): A game room closed, with the reported result of the game or `null`.
+ * - `playerJoined` (room, handler, team): A player joined a room, on team 0 (A), 1 (B), or 2 (spectators).
+ * - `playerLeft` (room, handler): A player left a room.
+ * - `playerKicked` (room, handler): A player was kicked from a room by its host or by a failed ready check.
+ * - `tick` (room, tick): The host of a running game sent a tick.
+ *
+ * Custom rules can be added with `use` without changing the API itself.
  */
-class PixSimAPI {
+class PixSimAPI extends EventEmitter {
+    static #protocolVersion = 2;
+    static #minProtocolVersion = 1;
+    static #capabilities = ['deltaTicks', 'inputBatch', 'compression'];
+    static #middlewareTypes = ['join', 'event'];
+
     #loggerLogsEverything = false;
     #logger = null;
     #keys = null;
     #io = null;
+    #clientTypes = null;
     #pixelConverter = null;
+    #tickWorkers = null;
+    #roomRegistry = null;
+    #registryInterval = null;
     #mapManager = null;
     #controllerManager = null;
+    #banList = null;
+    #accountStore = null;
+    #ladder = null;
+    #adminPanel = null;
+    #metrics = null;
+    #rateLimiter = null;
+    #replayManager = null;
+    #matchmaker = null;
     #active = false;
     #crashed = false;
     #starting = true;
+    #reconnectGracePeriod = 30000;
+    #chatFilter = null;
+    #readyCheckTimeout = 15000;
+    #readyCheckDropPlayers = false;
+    #strikeLimit = 5;
+    #strikeWindow = 60000;
+    #shutdownTimeout = 300000;
+    #inputDelay = 2;
+    #idleTimeout = 300000;
+    #minTeamSize = 1;
+    #maxTeamSize = 3;
+    #gameTypes = ['pixelcrash', 'resourcerace'];
+    #shutdownDeadline = null;
+    #shutdownPromise = null;
+    #middleware = { join: [], event: [] };
 
     /**
      * Open a PixSim API.
@@ -27,50 +88,118 @@ class PixSimAPI {
      * @param {Server} server An HTTP `Server`.
      * @param {{path: string, logPath: string, logEverything: boolean}} options Additional options.
      * @param {string} options.path Path to open the API onto.
+     * @param {string} options.clientTypesPath Path to a JSON file declaring the game clients that can connect (see `ClientTypeRegistry`).
      * @param {string} options.logPath Directory for logging.
      * @param {boolean} options.logEverything To log or not to log everything.
      * @param {boolean} options.allowCache Whether JSLoader is allowed to use the file cache or not.
+     * @param {number} options.reconnectGracePeriod Milliseconds a disconnected player's slot is held in a game room.
+     * @param {BanList} options.banList Server-wide ban list. Takes priority over `banListPath`.
+     * @param {string} options.banListPath Path to a JSON file for a server-wide ban list. No server-wide bans are checked if neither this nor `banList` is given.
+     * @param {Array<string>} options.chatFilter Words censored out of in-game chat.
+     * @param {number} options.readyCheckTimeout Milliseconds players have to respond to the ready check when a game starts.
+     * @param {boolean} options.readyCheckDropPlayers Whether to kick players who fail the ready check instead of reopening the lobby.
+     * @param {string} options.replayPath Directory to record game replays to. Games are not recorded if omitted.
+     * @param {AccountStore} options.accountStore Store for player accounts. Takes priority over `accountsPath`.
+     * @param {string} options.accountsPath Path to a JSON file to store player accounts in. Accounts are disabled if neither this nor `accountStore` is given.
+     * @param {MatchStore} options.matchStore Store for match history and ratings. Takes priority over `matchesPath`.
+     * @param {string} options.matchesPath Path to a JSON file to store match history and ratings in. Matches are not recorded if neither this nor `matchStore` is given.
+     * @param {number} options.strikeLimit Invalid events a connection may send within `strikeWindow` before it is kicked.
+     * @param {number} options.strikeWindow Milliseconds an invalid event counts as a strike.
+     * @param {string} options.adminToken Token for the admin routes and socket namespace. The admin panel is disabled if omitted.
+     * @param {object} options.rateLimit Options for the `RateLimiter` (trusted proxies, bucket limits, and temporary ban durations).
+     * @param {number} options.tickWorkers Number of worker threads converting game ticks. `0` converts them on the main thread. Defaults to one less than the number of CPUs.
+     * @param {RoomRegistry} options.roomRegistry Registry sharing rooms with the other processes of a cluster. Defaults to a `LocalRoomRegistry` for a single process.
+     * @param {number} options.shutdownTimeout Milliseconds running games are given to finish when the API is shut down with `shutdown()`.
+     * @param {number} options.inputDelay Default number of ticks before their target tick that scheduled inputs are released to the host. Hosts can change it per game.
+     * @param {number} options.pingTimeout Milliseconds Socket.IO waits for a heartbeat response before closing a connection.
+     * @param {number} options.pingInterval Milliseconds between Socket.IO heartbeats, which also measure the latency of connections.
+     * @param {number} options.idleTimeout Milliseconds a connection may go without sending any event before it is disconnected.
+     * @param {number} options.minTeamSize Smallest team size hosts can set and players can queue for.
+     * @param {number} options.maxTeamSize Largest team size hosts can set and players can queue for.
+     * @param {Array<string>} options.gameTypes Game modes hosts can set and players can queue for.
+     * @param {boolean} options.matchmaking Whether players can queue for games with the `Matchmaker`. Matchmaking only sees the players of its own process.
+     * @param {Object<string, {url: string, fallback: string}>} options.pixelTables Pixel table URLs by pixel format, replacing the ones in the client types file.
      */
-    constructor(app, server, { path = '/pixsim-api/', mapsPath = './src/multiplayer/maps', controllersPath = './src/multiplayer/scripts', logPath = './', logEverything = false, allowCache = true } = {}) {
+    constructor(app, server, options = {}) {
+        super();
+        let { path = '/pixsim-api/', mapsPath = './src/multiplayer/maps', clientTypesPath = './src/multiplayer/clients.json', controllersPath = './src/multiplayer/scripts', logPath = './', logEverything = false, allowCache = true, reconnectGracePeriod = 30000, banList, banListPath, chatFilter = [], readyCheckTimeout = 15000, readyCheckDropPlayers = false, strikeLimit = 5, strikeWindow = 60000, replayPath, accountStore, accountsPath, matchStore, matchesPath, adminToken, rateLimit = {}, tickWorkers, roomRegistry, shutdownTimeout = 300000, inputDelay = 2, pingTimeout = 10000, pingInterval = 5000, idleTimeout = 300000, minTeamSize = 1, maxTeamSize = 3, gameTypes, pixelTables = {}, matchmaking = true } = options;
         if (typeof app != 'function' || app == null || !app.hasOwnProperty('mkcalendar') || typeof app.mkcalendar != 'function') throw new TypeError('"app" must be an Express app'); // no way to check if it's Express app
         if (!(server instanceof Server)) throw new TypeError('"server" must be an HTTP server');
         if (path.endsWith('/') && path.length > 1) path = path.substring(0, path.length - 1);
         this.#logger = new Logger(logPath);
         if (typeof logEverything == 'boolean') this.logEverything = logEverything;
+        if (typeof reconnectGracePeriod == 'number' && reconnectGracePeriod >= 0) this.#reconnectGracePeriod = reconnectGracePeriod;
+        if (typeof readyCheckTimeout == 'number' && readyCheckTimeout > 0) this.#readyCheckTimeout = readyCheckTimeout;
+        if (typeof readyCheckDropPlayers == 'boolean') this.#readyCheckDropPlayers = readyCheckDropPlayers;
+        if (typeof strikeLimit == 'number' && strikeLimit >= 0) this.#strikeLimit = strikeLimit;
+        if (typeof strikeWindow == 'number' && strikeWindow > 0) this.#strikeWindow = strikeWindow;
+        if (typeof shutdownTimeout == 'number' && shutdownTimeout >= 0) this.#shutdownTimeout = shutdownTimeout;
+        if (Number.isInteger(inputDelay) && inputDelay >= 0) this.#inputDelay = inputDelay;
+        if (typeof idleTimeout == 'number' && idleTimeout > 0) this.#idleTimeout = idleTimeout;
+        if (Number.isInteger(minTeamSize) && Number.isInteger(maxTeamSize) && minTeamSize >= 1 && minTeamSize <= maxTeamSize) {
+            this.#minTeamSize = minTeamSize;
+            this.#maxTeamSize = maxTeamSize;
+        }
+        if (gameTypes instanceof Array && gameTypes.length > 0) this.#gameTypes = gameTypes.filter((type) => typeof type == 'string');
+        if (chatFilter instanceof Array && chatFilter.length > 0) {
+            const words = chatFilter.filter((word) => typeof word == 'string').map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+            this.#chatFilter = new RegExp(`\\b(${words.join('|')})\\b`, 'gi');
+        }
         console.info('Starting PixSim API');
         this.#logger.info('Starting PixSim API');
+        this.#logger.info('Configuration:\n' + Config.describe(options));
         if (!allowCache) this.#logger.info('- File caching for JSLoader is OFF');
         if (logEverything) this.#logger.info('- Logging is set to verbose');
+        if (this.#loggerLogsEverything) this.#logger.info('Creating RateLimiter instance');
+        this.#rateLimiter = new RateLimiter(rateLimit, this.#logger, this.#loggerLogsEverything);
+        app.use(this.#rateLimiter.middleware());
         if (this.#loggerLogsEverything) this.#logger.info(`Setting up Express HTTP middleware on '${path}'`);
         app.get(path, (req, res) => { res.writeHead(301, { location: '/pixsim-api/status' }); res.end(); });
-        app.get(path + '/status', (req, res) => res.send({ active: this.active, starting: this.#starting, crashed: this.#crashed, time: Date.now() }));
+        app.get(path + '/status', (req, res) => res.send({ active: this.active, starting: this.#starting, draining: this.draining, crashed: this.#crashed, time: Date.now() }));
+        this.#metrics = new Metrics(app, path + '/metrics', this, this.#logger, this.#loggerLogsEverything);
+        if (this.#loggerLogsEverything) this.#logger.info('Loading client types from ' + clientTypesPath);
+        this.#clientTypes = ClientTypeRegistry.fromFile(clientTypesPath);
         if (this.#loggerLogsEverything) this.#logger.info('Creating PixelConverter instance');
-        this.#pixelConverter = new PixelConverter([
-            {
-                id: 'rps',
-                url: 'https://raw.githubusercontent.com/spsquared/red-pixel-simulator/master/pixels.js',
-                fallback: 'https://red.pixelsimulator.repl.co/pixels.js',
-                extractor: 'let p = []; for (let i in pixels) p[i] = pixels[i].numId; return p;'
-            },
-            {
-                id: 'bps',
-                url: 'https://raw.githubusercontent.com/maitian352/Blue-Pixel-Simulator/master/pixelData.js',
-                fallback: 'https://blue.pixelsimulator.repl.co/pixelData.js',
-                extractor: 'return pixsimIds;'
-            },
-            // {
-            //     id: 'psp',
-            //     url: 'https://pixel-simulator-platformer-1.maitiansha1.repl.co/pixels.js',
-            //     extractor: 'let p = []; for (let i in PIXELS) p[PIXELS[i].id] = i; return p;'
-            // }
-        ], this.#logger, this.#loggerLogsEverything, allowCache);
+        this.#pixelConverter = new PixelConverter(this.#clientTypes.pixelFormats, this.#logger, this.#loggerLogsEverything, allowCache, pixelTables);
         this.#pixelConverter.ready.then(() => { if (this.#loggerLogsEverything) this.#logger.info('PixelConverter ready'); });
+        if (this.#loggerLogsEverything) this.#logger.info('Creating TickWorkerPool instance');
+        this.#tickWorkers = new TickWorkerPool(tickWorkers ?? Math.max(os.cpus().length - 1, 1), this.#pixelConverter, this.#logger, this.#loggerLogsEverything);
         if (this.#loggerLogsEverything) this.#logger.info('Creating MapManager instance');
-        this.#mapManager = new MapManager(app, path + '/maps/', mapsPath, this.#pixelConverter, this.#logger, this.#loggerLogsEverything);
+        this.#mapManager = new MapManager(app, path + '/maps/', mapsPath, this.#pixelConverter, this.#clientTypes, this.#logger, this.#loggerLogsEverything);
         this.#mapManager.ready.then(() => { if (this.#loggerLogsEverything) this.#logger.info('MapManager ready'); });
         if (this.#loggerLogsEverything) this.#logger.info('Creating ControllerManager instance');
         this.#controllerManager = new ControllerManager(app, path + '/scripts/', controllersPath, this.#pixelConverter, this.#logger, this.#loggerLogsEverything);
         this.#controllerManager.ready.then(() => { if (this.#loggerLogsEverything) this.#logger.info('ControllerManager ready'); });
+        if (typeof replayPath == 'string') {
+            if (this.#loggerLogsEverything) this.#logger.info('Creating ReplayManager instance');
+            this.#replayManager = new ReplayManager(app, path + '/replays/', replayPath, this.#pixelConverter, this.#logger, this.#loggerLogsEverything);
+        }
+        if (banList instanceof BanList) {
+            this.#banList = banList;
+        } else if (typeof banListPath == 'string') {
+            if (this.#loggerLogsEverything) this.#logger.info('Creating BanList instance');
+            this.#banList = new BanList(banListPath, this.#logger, this.#loggerLogsEverything);
+        }
+        if (accountStore instanceof AccountStore) {
+            this.#accountStore = accountStore;
+        } else if (typeof accountsPath == 'string') {
+            if (this.#loggerLogsEverything) this.#logger.info('Creating JSONAccountStore instance');
+            this.#accountStore = new JSONAccountStore(accountsPath, this.#logger);
+        }
+        if (!(matchStore instanceof MatchStore) && typeof matchesPath == 'string') {
+            if (this.#loggerLogsEverything) this.#logger.info('Creating JSONMatchStore instance');
+            matchStore = new JSONMatchStore(matchesPath, this.#logger);
+        }
+        if (matchStore instanceof MatchStore) {
+            if (this.#loggerLogsEverything) this.#logger.info('Creating Ladder instance');
+            this.#ladder = new Ladder(app, path + '/ladder/', matchStore, this.#logger, this.#loggerLogsEverything);
+        }
+        if (typeof adminToken == 'string' && adminToken.length > 0) {
+            if (this.#loggerLogsEverything) this.#logger.info('Creating AdminPanel instance');
+            this.#adminPanel = new AdminPanel(app, path + '/admin/', this, adminToken, this.#logger, this.#loggerLogsEverything);
+        }
+        this.#roomRegistry = roomRegistry instanceof RoomRegistry ? roomRegistry : new LocalRoomRegistry();
+        if (matchmaking) this.#matchmaker = new Matchmaker(this);
         // wait for everything to finish loading, then open the server
         new Promise(async (resolve, reject) => {
             if (this.#loggerLogsEverything) this.#logger.info('Generating RSA-OAEP keys');
@@ -83,6 +212,7 @@ class PixSimAPI {
             if (this.#loggerLogsEverything) this.#logger.info('RSA-OAEP keys generated');
             await this.#mapManager.ready;
             await this.#pixelConverter.ready;
+            await this.#tickWorkers.ready;
             resolve();
         }).then(() => {
             if (this.#crashed) {
@@ -96,27 +226,30 @@ class PixSimAPI {
                     origin: '*',
                     methods: ['GET', 'POST']
                 },
-                pingTimeout: 10000,
-                upgradeTimeout: 300000
+                pingTimeout: pingTimeout,
+                // heartbeats also measure the latency of every connection
+                pingInterval: pingInterval,
+                upgradeTimeout: 300000,
+                // only used for connections that negotiated the "compression" capability
+                perMessageDeflate: { threshold: 1024 }
             });
+            if (this.#adminPanel) this.#adminPanel.attach(this.#io);
             // unfortunately, there is a giant monolith of code in the constructor, and all the
             // classes are in this single file because of circular dependencies, hooray for jank!
-            const recentConnections = [];
-            const recentConnectionKicks = [];
             this.#io.on('connection', async (socket) => {
                 if (!this.#active) {
                     socket.disconnect();
                     return;
                 }
+                if (this.draining) {
+                    socket.emit('serverShutdown', { timeLeft: this.shutdownTimeLeft });
+                    socket.disconnect();
+                    return;
+                }
                 // connection DOS detection
-                const ip = socket.handshake.headers['x-forwarded-for'] ?? socket.handshake.address ?? socket.request.socket.remoteAddress ?? socket.client.conn.remoteAddress ?? 'un-ip';
-                recentConnections[ip] = (recentConnections[ip] ?? 0) + 1;
-                if (recentConnections[ip] > 3) {
-                    if (!recentConnectionKicks[ip]) {
-                        log(ip + ' was kicked for connection spam.');
-                        this.logger.warn(`Potential DOS attack from ${ip}!`);
-                    }
-                    recentConnectionKicks[ip] = true;
+                const ip = this.#rateLimiter.resolveIp(socket.handshake.address ?? socket.request.socket.remoteAddress, socket.handshake.headers['x-forwarded-for']);
+                if (!this.#rateLimiter.allowConnection(ip)) {
+                    this.#metrics.countKick('Connection spam');
                     console.log('disconnection: ' + ip);
                     socket.removeAllListeners();
                     socket.onevent = function (packet) { };
@@ -127,13 +260,16 @@ class PixSimAPI {
 
                 // create handler
                 const handler = new PixSimHandler(socket, this);
+                socket.conn.on('packetCreate', (packet) => {
+                    if (packet.data != null) this.#metrics.countBytes(typeof packet.data == 'string' ? Buffer.byteLength(packet.data) : packet.data.byteLength);
+                });
 
                 // manage disconnections
-                function handleDisconnect(reason) {
+                const handleDisconnect = (reason) => {
                     console.log('Disconnection: ' + ip);
                     handler.destroy(reason);
                     clearInterval(timeoutcheck);
-                    clearInterval(packetcheck);
+                    this.#rateLimiter.release(socket.id);
                 };
                 socket.on('disconnect', handleDisconnect);
                 socket.on('timeout', handleDisconnect);
@@ -143,7 +279,7 @@ class PixSimAPI {
                 let timeout = 0;
                 const timeoutcheck = setInterval(() => {
                     timeout++;
-                    if (timeout > 300) handleDisconnect('timed out');
+                    if (timeout > this.#idleTimeout / 1000) handleDisconnect('timed out');
                 }, 1000);
 
                 // performance metrics
@@ -152,29 +288,27 @@ class PixSimAPI {
                 });
 
                 // socketio dos protection
-                let packetCount = 0;
                 const onevent = socket.onevent;
                 socket.onevent = (packet) => {
                     if (packet.data[0] == null) {
+                        this.#metrics.countKick('Invalid packet');
                         handleDisconnect('invalid packet');
                         return;
                     }
-                    onevent.call(socket, packet);
-                    timeout = 0;
-                    packetCount++;
-                };
-                const packetcheck = setInterval(() => {
-                    packetCount = Math.max(packetCount - 250, 0);
-                    if (packetCount > 0) {
+                    if (!this.#rateLimiter.allowPacket(socket.id)) {
                         this.logger.warn(`Potential DOS attack from ${handler.debugId}!`);
+                        this.#rateLimiter.penalize(ip, 'Socket.IO spam');
+                        this.#metrics.countKick('Socket.IO spam');
+                        socket.onevent = function (packet) { };
                         handleDisconnect('socketio spam');
+                        return;
                     }
-                }, 1000);
+                    onevent.call(socket, packet);
+                    timeout = 0;
+                };
             });
-            setInterval(() => {
-                for (let i in recentConnections) recentConnections[i] = Math.max(recentConnections[i] - 1, 0);
-                for (let i in recentConnectionKicks) delete recentConnectionKicks[i];
-            }, 1000);
+            // settings of rooms change all the time, so listings are also refreshed periodically
+            this.#registryInterval = setInterval(() => this.publishRooms(), 1000);
             this.#active = true;
             this.#starting = false;
             console.info('PixSim API started');
@@ -200,6 +334,19 @@ class PixSimAPI {
     get active() {
         return this.#active;
     }
+    /**
+     * If the API is shutting down and waiting for running games to finish.
+     */
+    get draining() {
+        return this.#shutdownDeadline != null;
+    }
+    /**
+     * Milliseconds left for running games to finish before the API closes, or `null` if it isn't shutting down.
+     */
+    get shutdownTimeLeft() {
+        if (this.#shutdownDeadline == null) return null;
+        return Math.max(this.#shutdownDeadline - Date.now(), 0);
+    }
 
     /**
      * Decode an RSA encoded message using the private key.
@@ -217,12 +364,263 @@ class PixSimAPI {
         return webcrypto.subtle.exportKey('jwk', this.#keys.publicKey);
     }
 
+    /**
+     * Milliseconds a disconnected player's slot is held in a game room before they are removed.
+     */
+    get reconnectGracePeriod() {
+        return this.#reconnectGracePeriod;
+    }
+    /**
+     * Game modes hosts can set and players can queue for.
+     */
+    get gameTypes() {
+        return [...this.#gameTypes];
+    }
+    /**
+     * Smallest team size hosts can set and players can queue for.
+     */
+    get minTeamSize() {
+        return this.#minTeamSize;
+    }
+    /**
+     * Largest team size hosts can set and players can queue for.
+     */
+    get maxTeamSize() {
+        return this.#maxTeamSize;
+    }
+    /**
+     * Default number of ticks before their target tick that scheduled inputs are released to the host.
+     */
+    get inputDelay() {
+        return this.#inputDelay;
+    }
+
+    /**
+     * Milliseconds players have to respond to the ready check when a game starts.
+     */
+    get readyCheckTimeout() {
+        return this.#readyCheckTimeout;
+    }
+    /**
+     * Whether players who fail the ready check are kicked, instead of the lobby being reopened.
+     */
+    get readyCheckDropPlayers() {
+        return this.#readyCheckDropPlayers;
+    }
+    /**
+     * Invalid events a connection may send within `strikeWindow` before it is kicked.
+     */
+    get strikeLimit() {
+        return this.#strikeLimit;
+    }
+    /**
+     * Milliseconds an invalid event counts as a strike.
+     */
+    get strikeWindow() {
+        return this.#strikeWindow;
+    }
+
+    /**
+     * Censors filtered words in a chat message.
+     * @param {string} message Chat message to filter.
+     * @returns {string} The message with every filtered word replaced with asterisks.
+     */
+    filterChat(message) {
+        if (this.#chatFilter == null) return message;
+        return message.replace(this.#chatFilter, (word) => '*'.repeat(word.length));
+    }
+    /**
+     * The `Matchmaker` forming games from queued players, or `null` if matchmaking is disabled.
+     */
+    get matchmaker() {
+        return this.#matchmaker;
+    }
+    /**
+     * The `ReplayManager` recording games, or `null` if games are not recorded.
+     */
+    get replayManager() {
+        return this.#replayManager;
+    }
+    /**
+     * The server-wide `BanList`, or `null` if there is none.
+     */
+    get banList() {
+        return this.#banList;
+    }
+    /**
+     * The `AccountStore` for player accounts, or `null` if accounts are disabled.
+     */
+    get accountStore() {
+        return this.#accountStore;
+    }
+    /**
+     * The `Ladder` recording matches and ratings, or `null` if matches are not recorded.
+     */
+    get ladder() {
+        return this.#ladder;
+    }
+    /**
+     * The `AdminPanel`, or `null` if it is disabled.
+     */
+    get adminPanel() {
+        return this.#adminPanel;
+    }
+    /**
+     * The `Metrics` collecting server health statistics.
+     */
+    get metrics() {
+        return this.#metrics;
+    }
+    /**
+     * The `RateLimiter` protecting the server from floods of requests, connections, and events.
+     */
+    get rateLimiter() {
+        return this.#rateLimiter;
+    }
+    /**
+     * An array of all game `Room`s.
+     */
+    get rooms() {
+        return Room.list();
+    }
+    /**
+     * An array of all connected `PixSimHandler`s.
+     */
+    get connections() {
+        return PixSimHandler.list();
+    }
+
+    /**
+     * Emits an event to the listeners of the API. Errors thrown by listeners are logged instead of
+     * reaching the code that emitted the event.
+     * @param {string} event Name of the event.
+     * @param  {...any} args Arguments passed to the listeners.
+     * @returns {boolean} If the event had listeners.
+     */
+    emit(event, ...args) {
+        try {
+            return super.emit(event, ...args);
+        } catch (err) {
+            this.#logger.error(`Listener for "${event}" threw an error:`);
+            this.#logger.error(err instanceof Error ? err.stack : err);
+            return true;
+        }
+    }
+    /**
+     * Adds middleware, which runs in the order it was added.
+     * - `join` middleware is called as `(room, handler, spectating)` before a player joins a room, and
+     *   vetoes the join by returning `false`. It must be synchronous. The player is sent `joinFail` with code 4.
+     * - `event` middleware is called as `(handler, event, data, next)` for every event a client sends that passed
+     *   validation. It calls `next()` to pass the event on, or `next(data)` to replace the payload, and drops
+     *   the event by never calling `next`.
+     * @param {'join'|'event'} type Type of middleware.
+     * @param {function} middleware The middleware.
+     */
+    use(type, middleware) {
+        if (!PixSimAPI.#middlewareTypes.includes(type)) throw new TypeError(`"type" must be one of ${PixSimAPI.#middlewareTypes.join(', ')}`);
+        if (typeof middleware != 'function') throw new TypeError('"middleware" must be a function');
+        this.#middleware[type].push(middleware);
+    }
+    /**
+     * Runs the `join` middleware. Middleware that throws vetoes the join.
+     * @param {Room} room Room being joined.
+     * @param {PixSimHandler} handler `PixSimHandler` joining the room.
+     * @param {boolean} spectating Whether the handler joins as a spectator.
+     * @returns {boolean} If the join is allowed.
+     */
+    allowJoin(room, handler, spectating) {
+        for (const middleware of this.#middleware.join) {
+            try {
+                if (middleware(room, handler, spectating) === false) return false;
+            } catch (err) {
+                this.#logger.error('Join middleware threw an error:');
+                this.#logger.error(err instanceof Error ? err.stack : err);
+                return false;
+            }
+        }
+        return true;
+    }
+    /**
+     * Runs the `event` middleware on the payload of an event. Middleware that throws drops the event.
+     * @param {PixSimHandler} handler `PixSimHandler` the event is from.
+     * @param {string} event Name of the event.
+     * @param {*} data Payload of the event.
+     * @param {function(*): void} done Called with the transformed payload if no middleware dropped the event.
+     */
+    transformEvent(handler, event, data, done) {
+        const run = (index, data) => {
+            if (index >= this.#middleware.event.length) {
+                done(data);
+                return;
+            }
+            try {
+                this.#middleware.event[index](handler, event, data, function (transformed) {
+                    run(index + 1, arguments.length > 0 ? transformed : data);
+                });
+            } catch (err) {
+                this.#logger.error('Event middleware threw an error:');
+                this.#logger.error(err instanceof Error ? err.stack : err);
+            }
+        };
+        run(0, data);
+    }
+    /**
+     * Publishes the listings of the rooms of this process to the `RoomRegistry`.
+     */
+    publishRooms() {
+        this.#roomRegistry.update(Room.list().map((room) => room.listing)).catch((err) => {
+            this.#logger.error('Failed to publish rooms:');
+            this.#logger.error(err.stack);
+        });
+    }
+    /**
+     * Lists the rooms of every process in the cluster. Rooms of this process are always up to date, while
+     * the settings of rooms of other processes may be up to a second old.
+     * @returns {Promise<Array<RoomListing>>} Listings of all rooms.
+     */
+    async listRooms() {
+        const processId = this.#roomRegistry.processId;
+        const rooms = Room.list().map((room) => ({ ...room.listing, process: processId }));
+        try {
+            rooms.push(...(await this.#roomRegistry.list()).filter((room) => room.process != processId));
+        } catch (err) {
+            this.#logger.error('Failed to list rooms of other processes:');
+            this.#logger.error(err.stack);
+        }
+        return rooms;
+    }
+    /**
+     * Sends a `serverMessage` to every connection.
+     * @param {string} message Message to send.
+     */
+    broadcast(message) {
+        PixSimHandler.list().forEach((handler) => handler.send('serverMessage', message));
+    }
+
+    /**
+     * The `ClientTypeRegistry` of game clients that can connect.
+     */
+    get clientTypes() {
+        return this.#clientTypes;
+    }
     /**
      * The instance of `PixelConverter`
      */
     get pixelConverter() {
         return this.#pixelConverter;
     }
+    /**
+     * The `RoomRegistry` sharing rooms with the other processes of the cluster.
+     */
+    get roomRegistry() {
+        return this.#roomRegistry;
+    }
+    /**
+     * The `TickWorkerPool` converting game ticks.
+     */
+    get tickWorkers() {
+        return this.#tickWorkers;
+    }
 
     set logEverything(bool) {
         if (typeof bool == 'boolean') {
@@ -244,14 +642,77 @@ class PixSimAPI {
     }
 
     /**
-     * Disconnects the API
+     * The newest protocol version the server speaks.
+     */
+    static get protocolVersion() {
+        return PixSimAPI.#protocolVersion;
+    }
+    /**
+     * The oldest protocol version the server still accepts. Clients that don't send a version are treated as version 1.
+     */
+    static get minProtocolVersion() {
+        return PixSimAPI.#minProtocolVersion;
+    }
+    /**
+     * The optional features clients can ask for in the `clientInfo` handshake.
+     */
+    static get capabilities() {
+        return [...PixSimAPI.#capabilities];
+    }
+
+    /**
+     * Gracefully shuts down the API. New connections, games, and matchmaking are refused and lobbies are
+     * closed, but running games are left to finish. Clients are sent a `serverShutdown` countdown, and
+     * once every game has ended or `timeout` runs out, the API is closed.
+     * @param {number} timeout Milliseconds running games have to finish. Defaults to the `shutdownTimeout` option.
+     * @returns {Promise} A `Promise` resolving once the API is closed and all logs are written.
+     */
+    shutdown(timeout = this.#shutdownTimeout) {
+        if (this.#shutdownPromise != null) return this.#shutdownPromise;
+        this.#shutdownDeadline = Date.now() + timeout;
+        console.info('PixSim API shutting down');
+        this.#logger.info(`Shutting down, waiting up to ${Math.round(timeout / 1000)}s for ${Room.list().filter((room) => room.running).length} running games to finish`);
+        this.#matchmaker?.cancelAll();
+        this.#shutdownPromise = new Promise((resolve) => {
+            let lastNotice = null;
+            const drain = () => {
+                // lobbies won't ever finish, and running games can reopen their lobby if a ready check fails
+                Room.list().filter((room) => room.state == 'lobby').forEach((room) => room.destroy());
+                const secondsLeft = Math.ceil(this.shutdownTimeLeft / 1000);
+                if (Room.list().length == 0 || secondsLeft == 0) {
+                    clearInterval(interval);
+                    if (Room.list().length > 0) this.#logger.warn(`Shutdown timed out, closing ${Room.list().length} running games`);
+                    Promise.all(Room.list().map((room) => room.destroy())).then(() => resolve(this.close()));
+                    return;
+                }
+                // count down every 30 seconds, then every second for the last 10
+                if (secondsLeft != lastNotice && (lastNotice == null || secondsLeft % 30 == 0 || secondsLeft <= 10)) {
+                    lastNotice = secondsLeft;
+                    PixSimHandler.list().forEach((handler) => handler.send('serverShutdown', { timeLeft: this.shutdownTimeLeft }));
+                }
+            };
+            const interval = setInterval(drain, 1000);
+            drain();
+        });
+        return this.#shutdownPromise;
+    }
+    /**
+     * Disconnects the API immediately.
+     * @returns {Promise} A `Promise` resolving once all logs are written.
      */
     close() {
-        if (!this.#active && this.#crashed) return;
+        if (!this.#active && this.#crashed) return Promise.resolve();
         this.#active = false;
+        this.#matchmaker?.close();
+        this.#metrics.close();
+        this.#rateLimiter.close();
         PixSimHandler.destroyAll();
+        this.#tickWorkers.close();
+        clearInterval(this.#registryInterval);
+        this.#roomRegistry.close().catch((err) => this.#logger.error(err.stack));
         if (this.#io) this.#io.close();
-        this.#logger.destroy();
+        const saving = this.#replayManager?.close().catch((err) => this.#logger.error(err.stack)) ?? Promise.resolve();
+        return saving.then(() => this.#logger.destroy());
     }
 }
 
@@ -260,6 +721,7 @@ class PixSimAPI {
  */
 class PixSimHandler {
     static #list = new Set();
+    static #rttSampleCount = 10;
 
     #socket = null;
     #api = null;
@@ -267,7 +729,15 @@ class PixSimHandler {
     #ip = '';
     #username = 'Unknown';
     #clientType = '';
-    #lastCreateGame = 0;
+    #protocol = 1;
+    #capabilities = new Set();
+    #authenticated = false;
+    #connectedAt = Date.now();
+    #replayPlayback = null;
+    #replayRequest = 0;
+    #strikes = [];
+    #rttSamples = [];
+    #pingSent = null;
     #externalListeners = new Map();
 
     /**
@@ -280,76 +750,302 @@ class PixSimHandler {
         if (!(api instanceof PixSimAPI)) throw new TypeError('"api" must be an instance of PixSimAPI');
         this.#socket = socket;
         this.#api = api;
+        this.#socket.use((packet, next) => {
+            const [event, data] = packet;
+            if (!this.#api.rateLimiter.allowEvent(socket.id, event)) {
+                this.destroy('Event spam', true);
+                return;
+            }
+            const error = EventValidator.validate(event, data);
+            if (error != null) {
+                this.reject(error);
+                // nothing else can happen on the connection without a handshake
+                if (event == 'clientInfo' && this.#clientType == '') this.destroy(`Invalid connection handshake data - ${error.code} at "${error.path}"`);
+                return;
+            }
+            this.#api.transformEvent(this, event, data, (transformed) => {
+                packet[1] = transformed;
+                next();
+            });
+        });
+        // latency is measured on the Engine.IO heartbeat, which every client answers on its own
+        socket.conn.on('packetCreate', (packet) => {
+            if (packet.type == 'ping') this.#pingSent = performance.now();
+        });
+        socket.conn.on('packet', (packet) => {
+            if (packet.type != 'pong' || this.#pingSent == null) return;
+            this.#recordRtt(performance.now() - this.#pingSent);
+            this.#pingSent = null;
+        });
+        let requestedClientInfo = null;
         this.#socket.once('clientInfo', async (data) => {
-            if (typeof data != 'object' || data === null) this.destroy('Invalid connection handshake data - bad data');
-            if (data.client !== 'rps' && data.client !== 'bps' && data.client !== 'psp') this.destroy('Invalid connection handshake data - bad client');
-            this.#ip = socket.handshake.headers['x-forwarded-for'] ?? socket.handshake.address ?? socket.request.socket.remoteAddress ?? socket.client.conn.remoteAddress ?? 'un-ip';
+            // the handshake is the first round trip, so there's a latency estimate before the first heartbeat
+            if (requestedClientInfo != null) this.#recordRtt(performance.now() - requestedClientInfo);
+            if (typeof data != 'object' || data === null) {
+                this.destroy('Invalid connection handshake data - bad data');
+                return;
+            }
+            if (!this.#api.clientTypes.has(data.client)) {
+                this.destroy('Invalid connection handshake data - bad client');
+                return;
+            }
+            this.#ip = this.#api.rateLimiter.resolveIp(socket.handshake.address ?? socket.request.socket.remoteAddress, socket.handshake.headers['x-forwarded-for']);
             this.#username = data.username;
             this.#clientType = data.client;
             this.#info(`Connection: ${this.debugId}`);
-            // verify password
-            try {
-                // console.log(await this.#api.decode(data.password));
-            } catch (err) {
-                console.warn(`${this.debugId} kicked because password decoding failed`);
-                this.destroy('Invalid encoded password', true);
+            if (!this.#negotiateProtocol(data)) return;
+            if (this.#api.banList != null && this.#api.banList.isBanned(this.#username, this.#ip)) {
+                this.send('banned');
+                this.destroy('Banned from server', true);
                 return;
             }
-            socket.emit('clientInfoRecieved');
+            // verify password
+            if (this.#api.accountStore != null && !await this.#verifyAccount(data)) return;
+            socket.emit('clientInfoRecieved', { authenticated: this.#authenticated, protocol: this.#protocol, capabilities: Array.from(this.#capabilities) });
+            this.#api.emit('connection', this);
             this.#socket.on('createGame', () => this.#createGame());
             this.#socket.on('getPublicRooms', (data) => this.#getPublicRooms(data));
             this.#socket.on('joinGame', (data) => this.#joinGame(data));
+            this.#socket.on('resumeGame', (data) => this.#resumeGame(data));
             this.#socket.on('leaveGame', () => this.leaveGame());
+            this.#socket.on('queueMatch', (data) => this.#queueMatch(data));
+            this.#socket.on('cancelQueue', () => this.#api.matchmaker?.cancel(this));
+            this.#socket.on('watchReplay', (data) => this.#watchReplay(data));
+            this.#socket.on('stopReplay', () => this.#stopReplay());
             this.#socket.on('disconnect', (reason) => {
                 this.#info(`Disconnection: ${this.debugId} - ${reason}`)
             });
         });
-        setImmediate(async () => this.#socket.emit('requestClientInfo', await this.#api.publicKey));
+        setImmediate(async () => {
+            const publicKey = await this.#api.publicKey;
+            requestedClientInfo = performance.now();
+            this.#socket.emit('requestClientInfo', publicKey);
+        });
         PixSimHandler.#list.add(this);
     }
 
+    #recordRtt(rtt) {
+        this.#rttSamples.push(rtt);
+        if (this.#rttSamples.length > PixSimHandler.#rttSampleCount) this.#rttSamples.shift();
+    }
+    #negotiateProtocol(data) {
+        const protocol = data.protocol ?? 1;
+        if (typeof protocol != 'number' || !Number.isInteger(protocol)) {
+            this.destroy('Invalid connection handshake data - bad protocol');
+            return false;
+        }
+        const min = PixSimAPI.minProtocolVersion;
+        const max = PixSimAPI.protocolVersion;
+        if (protocol < min || protocol > max) {
+            const reason = `Protocol version ${protocol} is too ${protocol < min ? 'old' : 'new'}, the server supports versions ${min} to ${max}`;
+            this.send('incompatibleProtocol', { reason: reason, minVersion: min, maxVersion: max });
+            this.destroy('Incompatible protocol version', true);
+            return false;
+        }
+        this.#protocol = protocol;
+        // version 1 clients predate negotiation but always understood batched inputs
+        const requested = protocol == 1 ? ['inputBatch'] : (data.capabilities instanceof Array ? data.capabilities : []);
+        this.#capabilities = new Set(PixSimAPI.capabilities.filter((capability) => requested.includes(capability)));
+        if (this.#api.logEverything) this.#info(`${this.debugId} negotiated protocol ${this.#protocol} with [${Array.from(this.#capabilities).join(', ')}]`);
+        return true;
+    }
+    async #verifyAccount(data) {
+        const accounts = this.#api.accountStore;
+        let password = null;
+        if (data.password != null) {
+            try {
+                password = await this.#api.decode(data.password);
+            } catch (err) {
+                this.#warn(`${this.debugId} kicked because password decoding failed`);
+                this.destroy('Invalid encoded password', true);
+                return false;
+            }
+        }
+        try {
+            if (password == null) {
+                // guests can't use registered usernames
+                if (await accounts.isRegistered(this.#username)) {
+                    this.send('authFail', 1);
+                    this.destroy('Username is registered', true);
+                    return false;
+                }
+            } else if (data.register === true) {
+                if (!AccountStore.validUsername(this.#username) || password.length == 0) {
+                    this.send('authFail', 3);
+                    this.destroy('Invalid username or password', true);
+                    return false;
+                }
+                if (!await accounts.register(this.#username, password)) {
+                    this.send('authFail', 2);
+                    this.destroy('Username is taken', true);
+                    return false;
+                }
+                this.#authenticated = true;
+                this.#info(`${this.debugId} registered an account`);
+            } else {
+                if (!await accounts.authenticate(this.#username, password)) {
+                    if (this.#api.logEverything) this.#info(`${this.debugId} used the wrong password`);
+                    this.send('authFail', 0);
+                    this.destroy('Wrong password', true);
+                    return false;
+                }
+                this.#authenticated = true;
+            }
+        } catch (err) {
+            this.#error(`Account verification for ${this.debugId} failed:`);
+            this.#error(err.stack);
+            this.send('authFail', 4);
+            this.destroy('Account verification failed', true);
+            return false;
+        }
+        return true;
+    }
     #createGame() {
-        if (performance.now() - this.#lastCreateGame < 1000) {
-            this.destroy('Game creation spam', true);
+        if (this.#currentRoom != null || this.#api.draining) return;
+        this.hostGame();
+        this.#socket.once('cancelCreateGame', () => this.leaveGame());
+    }
+    #queueMatch(data) {
+        if (typeof data != 'object' || data == null || this.#currentRoom != null) return;
+        if (data.client !== undefined && data.client !== this.#clientType) {
+            this.send('queueFail', 1);
             return;
         }
-        if (this.#currentRoom != null) return;
-        this.#lastCreateGame = performance.now();
-        this.#currentRoom = new Room(this);
-        this.#currentRoom.join(this, false);
-        this.#socket.once('cancelCreateGame', () => this.leaveGame());
+        if (this.#api.draining || this.#api.matchmaker == null) this.send('queueFail', 2);
+        else if (!this.#api.matchmaker.queue(this, data.gameType, data.teamSize)) this.send('queueFail', 0);
     }
-    #getPublicRooms(data) {
+    async #getPublicRooms(data) {
         if (typeof data != 'object' || data == null) return;
         if (this.#api.logEverything) this.#info(`${this.debugId} requested list of public games`);
-        const rooms = Room.publicRooms(data.spectating);
+        // older clients don't send spectating
+        const spectating = data.spectating ?? false;
+        const rooms = await this.#api.listRooms();
         const games = [];
         for (const room of rooms) {
-            if (room.type == data.type || data.type == 'all') games.push({
-                code: room.id,
-                type: room.gameType,
+            if ((room.open || spectating) && room.isPublic && (room.allowsSpectators || !spectating) && (room.type == data.type || data.type == 'all')) games.push({
+                code: room.code,
+                type: room.type,
                 hostName: room.hostName,
-                hostPlatform: room.hostClient,
-                open: room.isOpen,
+                hostPlatform: room.hostPlatform,
+                open: room.open,
                 teamSize: room.teamSize,
-                allowsSpectators: room.allowSpectators
+                allowsSpectators: room.allowsSpectators,
+                hasPassword: room.hasPassword
             });
         }
         this.send('publicRooms', games);
     }
-    #joinGame(data) {
+    async #joinGame(data) {
         if (typeof data != 'object' || data == null || this.#currentRoom != null) return;
         if (this.#api.logEverything) this.#info(`${this.debugId} attempted to join game ${data.code}`);
         const rooms = Room.openRooms(data.spectating);
         for (const room of rooms) {
             if (room.id == data.code) {
-                room.join(this, data.spectating);
-                this.#currentRoom = room;
+                if (room.hasPassword && !room.isInvited(this.#username)) {
+                    let password = null;
+                    try {
+                        password = await this.#api.decode(data.password);
+                    } catch (err) {
+                        // wrong or missing passwords are handled below
+                    }
+                    if (password == null || !room.checkPassword(password)) {
+                        if (this.#api.logEverything) this.#info(`${this.debugId} used the wrong password for game ${data.code}`);
+                        this.send('joinFail', 2);
+                        return;
+                    }
+                    if (this.#currentRoom != null) return;
+                }
+                this.joinRoom(room, data.spectating);
                 return;
             }
         }
+        if (await this.#redirect(data.code)) return;
         this.send('joinFail', 0);
     }
+    async #resumeGame(data) {
+        if (typeof data != 'object' || data == null || typeof data.token != 'string' || this.#currentRoom != null) return;
+        if (this.#api.logEverything) this.#info(`${this.debugId} attempted to resume game ${data.code}`);
+        const room = Room.fromId(data.code);
+        if (room != null) {
+            this.#currentRoom = room;
+            if (room.resume(this, data.token)) return;
+            this.#currentRoom = null;
+        } else if (await this.#redirect(data.code)) return;
+        this.send('resumeFail', 0);
+    }
+    async #redirect(code) {
+        // the room might be on another process of the cluster, which the client has to reconnect to
+        let room = null;
+        try {
+            room = await this.#api.roomRegistry.lookup(code);
+        } catch (err) {
+            this.#error(`Room lookup for ${this.debugId} failed:`);
+            this.#error(err.stack);
+        }
+        if (room == null || room.process == this.#api.roomRegistry.processId) return false;
+        if (this.#api.logEverything) this.#info(`${this.debugId} redirected to process ${room.process} for game ${code}`);
+        this.send('joinRedirect', { code: code });
+        return true;
+    }
+    async #watchReplay(data) {
+        if (typeof data != 'object' || data == null || typeof data.id != 'string' || this.#currentRoom != null) return;
+        if (this.#api.replayManager == null) {
+            this.send('replayFail', 0);
+            return;
+        }
+        this.#stopReplay();
+        const request = this.#replayRequest;
+        if (this.#api.logEverything) this.#info(`${this.debugId} requested replay ${data.id}`);
+        let playback;
+        try {
+            playback = await this.#api.replayManager.play(this, data.id);
+        } catch (err) {
+            this.#error(`Failed to play replay ${data.id}:`);
+            this.#error(err.stack);
+            this.send('replayFail', 0);
+            return;
+        }
+        // the handler may have disconnected, stopped, joined a game, or requested another replay while it loaded
+        if (request != this.#replayRequest || !PixSimHandler.#list.has(this)) return;
+        if (playback == null) {
+            this.send('replayFail', 0);
+            return;
+        }
+        this.#replayPlayback = playback;
+        playback.start();
+    }
+    #stopReplay() {
+        this.#replayRequest++;
+        if (this.#replayPlayback == null) return;
+        this.#replayPlayback.stop();
+        this.#replayPlayback = null;
+    }
+    /**
+     * Creates a new game room with this handler as the host and joins it.
+     * @returns {Room|null} The new `Room`, or `null` if the handler is already in a game.
+     */
+    hostGame() {
+        if (this.#currentRoom != null) return null;
+        this.#api.matchmaker?.cancel(this);
+        this.#stopReplay();
+        this.#currentRoom = new Room(this);
+        this.#currentRoom.join(this, false);
+        return this.#currentRoom;
+    }
+    /**
+     * Joins an existing game room.
+     * @param {Room} room `Room` to join.
+     * @param {boolean} spectating Whether to join as a spectator or not.
+     * @returns {boolean} Whether the handler joined the game.
+     */
+    joinRoom(room, spectating = false) {
+        if (this.#currentRoom != null || !(room instanceof Room)) return false;
+        this.#api.matchmaker?.cancel(this);
+        this.#stopReplay();
+        if (!room.join(this, spectating)) return false;
+        this.#currentRoom = room;
+        return true;
+    }
     leaveGame() {
         if (this.#currentRoom == null) return;
         this.#currentRoom.leave(this);
@@ -362,7 +1058,20 @@ class PixSimHandler {
      * @param {*} data Data to send with the event.
      */
     send(event, data) {
-        this.#socket.emit(event, data);
+        this.#socket.compress(this.#capabilities.has('compression')).emit(event, data);
+    }
+    /**
+     * Sends an `error` event describing an invalid event to the client and gives it a strike. The handler
+     * is kicked once it has more than `strikeLimit` strikes within `strikeWindow` milliseconds.
+     * @param {ValidationError} error The violation (see `EventValidator`).
+     */
+    reject(error) {
+        this.send('error', error);
+        const now = Date.now();
+        this.#strikes = this.#strikes.filter((time) => now - time < this.#api.strikeWindow);
+        this.#strikes.push(now);
+        if (this.#api.logEverything) this.#info(`${this.debugId} sent invalid ${error.event} (${error.code} at "${error.path}") - strike ${this.#strikes.length}`);
+        if (this.#strikes.length > this.#api.strikeLimit) this.destroy('Too many invalid events', true);
     }
     /**
      * Sends an event with data to all clients (except the calling handler) within the current game room.
@@ -412,6 +1121,19 @@ class PixSimHandler {
         let index = this.#externalListeners.get(owner).get(event).indexOf(callback);
         if (index >= 0) this.#externalListeners.get(owner).get(event).splice(index, 1);
     }
+    /**
+     * Removes every listener of the owner for `event`.
+     * @param {string} owner ID of the owner of the listeners.
+     * @param {string} event Event to stop listening for.
+     */
+    removeExternalListeners(owner, event) {
+        if (!this.#externalListeners.has(owner)) return;
+        const listeners = this.#externalListeners.get(owner).get(event) ?? [];
+        for (let callback of listeners) {
+            this.#socket.off(event, callback);
+        }
+        this.#externalListeners.get(owner).delete(event);
+    }
     /**
      * Removes all event listeners in the event listener list of the owner.
      * @param {string} owner ID of the owner of the listener.
@@ -434,11 +1156,83 @@ class PixSimHandler {
         return this.#username;
     }
     /**
-     * The game client of the player (currently, only "rps", "bps", and "psp" are accepted).
+     * The ID of the connection (the Socket.IO socket ID).
+     */
+    get id() {
+        return this.#socket.id;
+    }
+    /**
+     * The IP address of the player.
+     */
+    get ip() {
+        return this.#ip;
+    }
+    /**
+     * The game client of the player (one of the IDs in the API's `ClientTypeRegistry`).
      */
     get clientType() {
         return this.#clientType;
     }
+    /**
+     * Whether the player logged in to (or registered) an account, so the username is verified.
+     */
+    get authenticated() {
+        return this.#authenticated;
+    }
+    /**
+     * Average round trip time of the last few heartbeats in milliseconds, or `null` if it hasn't been measured yet.
+     */
+    get rtt() {
+        if (this.#rttSamples.length == 0) return null;
+        return Math.round(this.#rttSamples.reduce((acc, curr) => acc + curr, 0) / this.#rttSamples.length);
+    }
+    /**
+     * Average difference between consecutive round trip times of the last few heartbeats in milliseconds, or `null` if it hasn't been measured yet.
+     */
+    get jitter() {
+        if (this.#rttSamples.length < 2) return null;
+        let total = 0;
+        for (let i = 1; i < this.#rttSamples.length; i++) total += Math.abs(this.#rttSamples[i] - this.#rttSamples[i - 1]);
+        return Math.round(total / (this.#rttSamples.length - 1));
+    }
+    /**
+     * The protocol version negotiated in the handshake.
+     */
+    get protocol() {
+        return this.#protocol;
+    }
+    /**
+     * An `Array<string>` of the capabilities negotiated in the handshake.
+     */
+    get capabilities() {
+        return Array.from(this.#capabilities);
+    }
+    /**
+     * Checks if a capability was negotiated in the handshake.
+     * @param {string} capability Capability to check.
+     * @returns {boolean} If both the client and the server support the capability.
+     */
+    hasCapability(capability) {
+        return this.#capabilities.has(capability);
+    }
+    /**
+     * Whether the client accepts delta-encoded ticks (`tickDelta`) in between full `tick` keyframes.
+     */
+    get deltaTicks() {
+        return this.#capabilities.has('deltaTicks');
+    }
+    /**
+     * The `Room` the player is in, or `null` if not in a game.
+     */
+    get currentRoom() {
+        return this.#currentRoom;
+    }
+    /**
+     * Time the player connected in milliseconds since midnight on January 1, 1970 UTC.
+     */
+    get connectedAt() {
+        return this.#connectedAt;
+    }
     /**
      * The debug id of the player (username and ip).
      */
@@ -473,19 +1267,26 @@ class PixSimHandler {
     }
 
     /**
-     * Safely disconnects the handler and leaves the game it is in, if the handler is in one.
+     * Safely disconnects the handler and leaves the game it is in, if the handler is in one. Unless the
+     * disconnection was a kick, the game holds the handler's place so the player can resume.
      * @param reason Reason the handler was disconnected.
-     * @param reason Whether the disconnection was forced by a kick.
+     * @param kicked Whether the disconnection was forced by a kick.
      */
     destroy(reason = 'disconnected', kicked) {
+        // disconnecting the socket can destroy the handler again
+        const listed = PixSimHandler.#list.delete(this);
         if (kicked) {
             this.#warn(`${this.debugId} kicked - ${reason}`);
+            this.#api.metrics.countKick(reason);
         } else {
             this.#info(`Disconnection: ${this.debugId}`);
         }
-        if (this.#currentRoom) this.#currentRoom.leave(this);
+        if (kicked) this.leaveGame();
+        else if (this.#currentRoom) this.#currentRoom.disconnect(this);
+        this.#stopReplay();
+        this.#api.matchmaker?.cancel(this);
         this.#socket.disconnect();
-        PixSimHandler.#list.delete(this);
+        if (listed) this.#api.emit('disconnection', this, reason, kicked === true);
     }
     /**
      * Safely disconects all handlers.
@@ -493,6 +1294,13 @@ class PixSimHandler {
     static destroyAll() {
         PixSimHandler.#list.forEach(h => h.destroy());
     }
+    /**
+     * Gets a list of all handlers.
+     * @returns An array of `PixSimHandler`s.
+     */
+    static list() {
+        return Array.from(PixSimHandler.#list);
+    }
 }
 
 /**
@@ -500,6 +1308,13 @@ class PixSimHandler {
  */
 class Room {
     static #list = new Set();
+    static #maxPendingTicks = 3;
+    static #statsPeriod = 5000;
+    static #maxInputLead = 120;
+    static #maxScheduledInputs = 64;
+    static #hashHistory = 30;
+    static #hashCheckInterval = 250;
+    static #signOffPeriod = 15000;
     #api;
     #id = '';
     #type = 'pixelite_crash';
@@ -512,6 +1327,38 @@ class Room {
     #open = true;
     #public = true;
     #bannedPlayers = [];
+    #passwordHash = null;
+    #invitedPlayers = new Set();
+    #pendingReady = new Map();
+    #readyTimeout = null;
+    #readyDeadline = 0;
+    #proxyMode = false;
+    #gridSize = null;
+    #lastTick = null;
+    #tickCount = 0;
+    #pendingTicks = 0;
+    #currentTick = null;
+    #inputDelay = 0;
+    #scheduledInputs = [];
+    #inputSequence = 0;
+    #recentTicks = new Map();
+    #lastHashCheck = new Map();
+    #pendingDesyncs = new Map();
+    #result = null;
+    #resultTeams = null;
+    #recording = null;
+    #signOffs = new Map();
+    #signOffTimeout = null;
+    #deltaSynced = new Set();
+    #replay = null;
+    #resumeTokens = new Map();
+    #disconnected = new Map();
+    #mutedPlayers = new Set();
+    #chatHistory = new Map();
+    #maxPing = null;
+    #maxPingBlocks = false;
+    #statsInterval = null;
+    #created = Date.now();
 
     /**
      * Create a `Room` from a `PixSimHandler` host.
@@ -521,40 +1368,57 @@ class Room {
         if (!(handler instanceof PixSimHandler)) throw new TypeError('"handler" must be a PixSimHandler');
         this.#host = handler;
         this.#api = this.#host.api;
+        this.#inputDelay = this.#api.inputDelay;
         this.#id = randomBytes(4).toString('hex').toUpperCase();
         this.#info(`${handler.debugId} created game ${this.#id}`);
         Room.#list.add(this);
+        this.#api.publishRooms();
         this.#host.joinGameRoom(this.#id);
-        this.#host.addExternalListener(this.#id, 'changeTeam', (team) => this.changeTeam(this.#host, team));
-        this.#host.addExternalListener(this.#id, 'gameType', (type) => this.gameType = type);
-        this.#host.addExternalListener(this.#id, 'allowSpectators', (bool) => this.allowSpectators = bool);
-        this.#host.addExternalListener(this.#id, 'isPublic', (bool) => this.publicGame = bool);
-        this.#host.addExternalListener(this.#id, 'teamSize', (size) => this.teamSize = size);
-        this.#host.addExternalListener(this.#id, 'kickPlayer', (username) => this.kick(username));
-        this.#host.addExternalListener(this.#id, 'movePlayer', (data) => this.move(data.username, data.team, data.username2));
-        this.#host.addExternalListener(this.#id, 'startGame', () => this.start());
+        this.#addHostListeners();
         this.#host.send('gameCode', this.#id);
+        this.#statsInterval = setInterval(() => this.#sendRoomStats(), Room.#statsPeriod);
+        this.#api.emit('roomCreated', this);
     }
 
     /**
      * Adds a `PixSimHandler` to the room. The handler is placed in the spectator list if `spectating`
      * is true. Otherwise it will place it in the team with the lower player count. If both teams are
-     * full the handler will be placed as a spectator regardless of `spectating`.
+     * full the handler will be placed as a spectator regardless of `spectating`. Banned players, and
+     * players over the max ping when the host set it to block, are sent a `joinFail` and are not added.
      * @param {PixSimHandler} handler `PixSimHandler` to add to the room.
      * @param {boolean} spectating Whether to join as a spectator or not.
+     * @returns {boolean} Whether the handler joined the room.
      */
     join(handler, spectating = false) {
-        if (!(handler instanceof PixSimHandler) || typeof spectating != 'boolean' || (!spectating && !this.#open)) return;
+        if (!(handler instanceof PixSimHandler) || typeof spectating != 'boolean' || (!spectating && !this.#open)) return false;
+        if (this.#isBanned(handler)) {
+            this.#info(`${handler.debugId} was refused from game ${this.#id} - banned`);
+            handler.send('joinFail', 1);
+            return false;
+        }
+        if (!spectating && this.#maxPingBlocks && this.#isLagging(handler)) {
+            this.#info(`${handler.debugId} was refused from game ${this.#id} - ping ${handler.rtt}ms over ${this.#maxPing}ms`);
+            handler.send('joinFail', 3);
+            return false;
+        }
+        if (!this.#api.allowJoin(this, handler, spectating)) {
+            this.#info(`${handler.debugId} was refused from game ${this.#id} - vetoed by middleware`);
+            handler.send('joinFail', 4);
+            return false;
+        }
         if (spectating || (this.#teamA.size >= this.#teamSize && this.#teamB.size >= this.#teamSize)) {
             this.#info(`${handler.debugId} joined game ${this.#id} as a spectator`);
             this.#spectators.add(handler);
             if (!spectating) handler.send('forcedSpectator');
             handler.joinGameRoom(this.#id);
             handler.send('joinSuccess', 2);
+            this.#issueResumeToken(handler);
+            this.#addListeners(handler);
             handler.send('gameType', this.#type);
             this.#updateTeamLists();
             if (!this.#open) handler.send('gameStart');
-        } else if (this.#bannedPlayers.indexOf(handler.username) == -1) {
+            this.#api.emit('playerJoined', this, handler, 2);
+        } else {
             if (this.#teamB.size < this.#teamA.size) {
                 this.#info(`${handler.debugId} joined game ${this.#id} on team Beta`);
                 this.#teamB.add(handler);
@@ -564,10 +1428,14 @@ class Room {
                 this.#teamA.add(handler);
                 handler.send('joinSuccess', 0);
             }
+            this.#issueResumeToken(handler);
+            this.#addListeners(handler);
             handler.joinGameRoom(this.#id);
             handler.send('gameType', this.#type);
             this.#updateTeamLists();
+            this.#api.emit('playerJoined', this, handler, this.#teamA.has(handler) ? 0 : 1);
         }
+        return true;
     }
     /**
      * Moves a `PixSimHandler` to a different team within the room. If the handler is not within the game
@@ -602,10 +1470,137 @@ class Room {
         else if (this.#teamB.has(handler)) this.#teamB.delete(handler);
         else return;
         this.#info(`${handler.debugId} left game ${this.#id}`);
+        this.#resumeTokens.delete(handler);
+        for (const [token, slot] of this.#disconnected) {
+            if (slot.handler == handler) {
+                clearTimeout(slot.timeout);
+                this.#disconnected.delete(token);
+            }
+        }
+        this.#pendingReady.delete(handler);
+        this.#chatHistory.delete(handler);
+        this.#deltaSynced.delete(handler);
+        this.#scheduledInputs = this.#scheduledInputs.filter((scheduled) => scheduled.handler != handler);
+        this.#lastHashCheck.delete(handler);
+        this.#pendingDesyncs.delete(handler);
+        if (this.#signOffs.has(handler)) this.#signOffs.get(handler)(true);
         handler.leaveGameRoom(this.#id);
         handler.removeAllExternalListeners(this.#id)
-        if (handler == this.#host) this.destroy();
+        this.#api.emit('playerLeft', this, handler);
+        if (handler == this.#host && Room.#list.has(this)) this.#migrateHost();
+        if (!Room.#list.has(this)) return;
         this.#updateTeamLists();
+        this.#checkReady();
+    }
+    /**
+     * Holds the place of a `PixSimHandler` that lost its connection. The player keeps their team slot for
+     * the reconnect grace period of the `PixSimAPI`, and is removed from the room if they do not resume
+     * with their resume token within that time.
+     * @param {PixSimHandler} handler `PixSimHandler` that disconnected.
+     */
+    disconnect(handler) {
+        if (!(handler instanceof PixSimHandler) || !this.#resumeTokens.has(handler)) return;
+        if (!this.#api.active || this.#api.reconnectGracePeriod == 0) {
+            handler.leaveGame();
+            return;
+        }
+        const token = this.#resumeTokens.get(handler);
+        this.#resumeTokens.delete(handler);
+        handler.removeAllExternalListeners(this.#id);
+        this.#info(`${handler.debugId} lost connection to game ${this.#id}, holding slot for ${this.#api.reconnectGracePeriod}ms`);
+        this.#disconnected.set(token, {
+            handler: handler,
+            timeout: setTimeout(() => {
+                this.#info(`${handler.debugId} did not reconnect to game ${this.#id} in time`);
+                handler.leaveGame();
+            }, this.#api.reconnectGracePeriod)
+        });
+        this.#updateTeamLists();
+    }
+    /**
+     * Puts a reconnecting `PixSimHandler` back into the slot held by a disconnected player, restoring
+     * their team, listeners, and the current state of the game.
+     * @param {PixSimHandler} handler New `PixSimHandler` of the reconnecting player.
+     * @param {string} token Resume token issued to the player when they joined.
+     * @returns {boolean} Whether the handler resumed the game.
+     */
+    resume(handler, token) {
+        if (!(handler instanceof PixSimHandler) || typeof token != 'string' || !this.#disconnected.has(token)) return false;
+        const slot = this.#disconnected.get(token);
+        clearTimeout(slot.timeout);
+        this.#disconnected.delete(token);
+        let team = 2;
+        if (this.#teamA.delete(slot.handler)) {
+            this.#teamA.add(handler);
+            team = 0;
+        } else if (this.#teamB.delete(slot.handler)) {
+            this.#teamB.add(handler);
+            team = 1;
+        } else {
+            this.#spectators.delete(slot.handler);
+            this.#spectators.add(handler);
+        }
+        this.#info(`${handler.debugId} resumed game ${this.#id} in place of ${slot.handler.debugId}`);
+        handler.joinGameRoom(this.#id);
+        this.#addListeners(handler);
+        if (slot.handler == this.#host) {
+            this.#host = handler;
+            this.#addHostListeners();
+            if (this.#proxyMode) this.#addHostProxyListeners();
+        }
+        handler.send('resumeSuccess', team);
+        this.#issueResumeToken(handler);
+        handler.send('gameType', this.#type);
+        this.#updateTeamLists();
+        if (!this.#open) handler.send('gameStart');
+        if (this.#pendingReady.delete(slot.handler)) this.#awaitReady(handler);
+        if (this.#gridSize != null) handler.send('gridSize', this.#gridSize);
+        if (this.#proxyMode && team != 2) this.#addPlayerListeners(handler, team);
+        return true;
+    }
+    #migrateHost() {
+        const oldHost = this.#host;
+        const newHost = [...this.#teamA, ...this.#teamB].find((handler) => !this.#isDisconnected(handler));
+        if (newHost == undefined) {
+            this.destroy();
+            return;
+        }
+        this.#host = newHost;
+        this.#info(`${oldHost.debugId} left, ${newHost.debugId} is now the host of game ${this.#id}`);
+        // held inputs were converted for the old host
+        this.#scheduledInputs.forEach((scheduled) => scheduled.handler.send('inputRejected', { tick: scheduled.input.tick, currentTick: this.#currentTick, reason: 'hostChanged' }));
+        this.#scheduledInputs = [];
+        // the host's inputs go straight into its own simulation
+        newHost.removeExternalListeners(this.#id, 'input');
+        newHost.removeExternalListeners(this.#id, 'inputBatch');
+        this.#addHostListeners();
+        if (this.#proxyMode) this.#addHostProxyListeners();
+        this.#forEachHandler((handler) => {
+            if (handler != newHost) handler.send('hostChanged', { username: newHost.username });
+        });
+        let tick = null;
+        if (this.#lastTick != null) {
+            // only converted once per host change, and kept out of the workers so it can't replace a delta baseline
+            const conversion = TickProcessor.convert(this.#api.pixelConverter, this.#lastTick.tick.grid, this.#lastTick.tick.data.teamPixelAmounts, this.#lastTick.clientType, newHost.clientType);
+            tick = {
+                grid: conversion.grid,
+                teamGrid: this.#lastTick.tick.teamGrid,
+                booleanGrids: this.#lastTick.tick.booleanGrids,
+                data: {
+                    tick: this.#lastTick.tick.data.tick,
+                    teamPixelAmounts: conversion.pixels,
+                    pixeliteCounts: this.#lastTick.tick.data.pixeliteCounts,
+                    cameraShake: this.#lastTick.tick.data.cameraShake ?? 0
+                }
+            };
+        }
+        newHost.send('hostChanged', { username: newHost.username, gridSize: this.#gridSize, tick: tick });
+    }
+    #isDisconnected(handler) {
+        for (const slot of this.#disconnected.values()) {
+            if (slot.handler == handler) return true;
+        }
+        return false;
     }
     /**
      * Moves a player to another team. If the player is not found in the teams (e.g. they are a spectator)
@@ -657,155 +1652,615 @@ class Room {
             ?? Array.from(this.#teamB).find(handler => handler.username == username);
         if (handler) {
             this.#info(`${this.#host.debugId} kicked ${handler.debugId} from game ${this.#id}`);
+            this.#api.emit('playerKicked', this, handler);
             handler.send('gameKicked');
             handler.leaveGame();
         }
     }
     /**
-     * Starts the game. This is usually invoked by the handler itself.
+     * Bans a player from the room by username, and by IP address if the player is in the room, then kicks them.
+     * @param {string} username Username of player to be banned.
+     */
+    ban(username) {
+        if (typeof username != 'string' || username == this.#host.username) return;
+        let handler = Array.from(this.#spectators).find(handler => handler.username == username)
+            ?? Array.from(this.#teamA).find(handler => handler.username == username)
+            ?? Array.from(this.#teamB).find(handler => handler.username == username);
+        this.#bannedPlayers.push({ username: username, ip: handler?.ip });
+        this.#info(`${this.#host.debugId} banned ${handler?.debugId ?? username} from game ${this.#id}`);
+        if (handler) this.kick(username);
+        else this.#updateTeamLists();
+    }
+    /**
+     * Removes the ban on a player, including the IP ban made with it.
+     * @param {string} username Username of player to be unbanned.
      */
-    start() {
+    unban(username) {
+        if (typeof username != 'string') return;
+        const count = this.#bannedPlayers.length;
+        this.#bannedPlayers = this.#bannedPlayers.filter(ban => ban.username != username);
+        if (this.#bannedPlayers.length == count) return;
+        this.#info(`${this.#host.debugId} unbanned ${username} from game ${this.#id}`);
+        this.#updateTeamLists();
+    }
+    #isBanned(handler) {
+        return this.#bannedPlayers.some(ban => ban.username == handler.username || (ban.ip != undefined && ban.ip == handler.ip));
+    }
+    /**
+     * Sets the password needed to join the room. Invited players can join without it.
+     * @param {string|null} password New password, or `null` to remove the password.
+     */
+    setPassword(password) {
+        if (password === null) {
+            this.#passwordHash = null;
+            this.#info(`game ${this.#id} removed its password`);
+        } else if (typeof password == 'string' && password.length > 0) {
+            this.#passwordHash = createHash('sha256').update(password).digest();
+            this.#info(`game ${this.#id} set a password`);
+        } else return;
+        this.#updateTeamLists();
+    }
+    /**
+     * Checks if a password matches the password of the room.
+     * @param {string} password Password to check.
+     * @returns {boolean} If the password is correct, or the room has no password.
+     */
+    checkPassword(password) {
+        if (this.#passwordHash == null) return true;
+        if (typeof password != 'string') return false;
+        return timingSafeEqual(createHash('sha256').update(password).digest(), this.#passwordHash);
+    }
+    /**
+     * Allows a player to join the room without the password.
+     * @param {string} username Username of player to invite.
+     */
+    invite(username) {
+        if (typeof username != 'string' || this.#invitedPlayers.has(username)) return;
+        this.#invitedPlayers.add(username);
+        this.#info(`${this.#host.debugId} invited ${username} to game ${this.#id}`);
+        this.#updateTeamLists();
+    }
+    /**
+     * Removes a player from the invite list of the room.
+     * @param {string} username Username of player to uninvite.
+     */
+    uninvite(username) {
+        if (typeof username != 'string' || !this.#invitedPlayers.delete(username)) return;
+        this.#info(`${this.#host.debugId} uninvited ${username} from game ${this.#id}`);
+        this.#updateTeamLists();
+    }
+    /**
+     * Checks if a player is on the invite list of the room.
+     * @param {string} username Username of player.
+     * @returns {boolean} If the player is invited.
+     */
+    isInvited(username) {
+        return this.#invitedPlayers.has(username);
+    }
+    async #handleSetPassword(password) {
+        if (password === null) {
+            this.setPassword(null);
+            return;
+        }
+        try {
+            this.setPassword(await this.#api.decode(password));
+        } catch (err) {
+            this.#warn(`${this.#host.debugId} sent a password for game ${this.#id} that could not be decoded`);
+        }
+    }
+    /**
+     * Prevents a player from sending chat messages in the room.
+     * @param {string} username Username of player to be muted.
+     */
+    mute(username) {
+        if (typeof username != 'string' || this.#mutedPlayers.has(username)) return;
+        this.#mutedPlayers.add(username);
+        this.#info(`${this.#host.debugId} muted ${username} in game ${this.#id}`);
+        this.#forEachHandler((handler) => {
+            if (handler.username == username) handler.send('chatMuted', true);
+        });
+        this.#updateTeamLists();
+    }
+    /**
+     * Allows a muted player to send chat messages again.
+     * @param {string} username Username of player to be unmuted.
+     */
+    unmute(username) {
+        if (typeof username != 'string' || !this.#mutedPlayers.delete(username)) return;
+        this.#info(`${this.#host.debugId} unmuted ${username} in game ${this.#id}`);
+        this.#forEachHandler((handler) => {
+            if (handler.username == username) handler.send('chatMuted', false);
+        });
+        this.#updateTeamLists();
+    }
+    /**
+     * Sets the max ping rule of the room. Players whose round trip time is over the limit either can't
+     * join the teams, or only make the host get a `pingWarning` when starting the game.
+     * @param {number|null} limit Maximum round trip time in milliseconds, or `null` to remove the rule.
+     * @param {boolean} block Whether to refuse players over the limit from joining, instead of only warning.
+     */
+    setMaxPing(limit, block = false) {
+        if ((limit !== null && (typeof limit != 'number' || limit <= 0)) || typeof block != 'boolean') return;
+        this.#maxPing = limit;
+        this.#maxPingBlocks = block;
+        if (this.#host.logEverything) this.#info(`game ${this.#id} set maxPing to ${limit}${block ? ' (blocking)' : ''}`);
+        this.#updateTeamLists();
+    }
+    /**
+     * Starts the game. This is usually invoked by the handler itself. Every player has to respond to
+     * the ready check before the game enters proxy mode. If any player does not respond in time, they
+     * are either kicked or the lobby is reopened, depending on the `PixSimAPI` settings. If any player
+     * is over the max ping, the host is sent a `pingWarning` instead, unless `force` is set.
+     * @param {boolean} force Whether to start even if players are over the max ping.
+     */
+    start(force = false) {
         if (this.#teamA.size == this.#teamSize && this.#teamB.size == this.#teamSize && this.#open) {
+            const lagging = [...this.#teamA, ...this.#teamB].filter((handler) => this.#isLagging(handler));
+            if (lagging.length > 0 && !force) {
+                this.#host.send('pingWarning', { maxPing: this.#maxPing, players: lagging.map((handler) => ({ username: handler.username, rtt: handler.rtt })) });
+                return;
+            }
             this.#info(`Game ${this.#id} started`);
             this.#open = false;
             if (this.#host.logEverything) this.#debug(`Game ${this.#id} pinging players`);
-            new Promise((resolve, reject) => {
-                let responses = 0;
-                for (let player of [...this.#teamA, ...this.#teamB]) {
-                    let res = () => {
-                        responses++;
-                        player.removeExternalListener(this.#id, 'ready', res);
-                        if (responses == this.#teamSize * 2) resolve();
-                    };
-                    player.addExternalListener(this.#id, 'ready', res);
-                    player.send('gameStart');
-                }
-            }).then(() => {
-                if (this.#host.logEverything) this.#debug(`Game ${this.#id} connections checked, starting proxy mode`);
-                this.#host.addExternalListener(this.#id, 'gridSize', (size) => this.#handleGridSize(size));
-                this.#host.addExternalListener(this.#id, 'tick', (tick) => this.#handleTick(tick));
-                this.#teamA.forEach((handler) => {
-                    handler.addExternalListener(this.#id, 'input', (input) => this.#handleInput(input, handler, 0));
-                    handler.addExternalListener(this.#id, 'inputBatch', (inputs) => this.#handleInputBatch(inputs, handler, 0));
-                });
-                this.#teamB.forEach((handler) => {
-                    handler.addExternalListener(this.#id, 'input', (input) => this.#handleInput(input, handler, 1));
-                    handler.addExternalListener(this.#id, 'inputBatch', (inputs) => this.#handleInputBatch(inputs, handler, 1));
-                });
+            for (let player of [...this.#teamA, ...this.#teamB]) {
+                this.#awaitReady(player);
+                player.send('gameStart');
+            }
+            this.#readyDeadline = Date.now() + this.#api.readyCheckTimeout;
+            this.#readyTimeout = setTimeout(() => this.#handleReadyTimeout(), this.#api.readyCheckTimeout);
+            this.#sendReadyCheck();
+        }
+    }
+    #awaitReady(handler) {
+        let res = () => {
+            handler.removeExternalListener(this.#id, 'ready', res);
+            if (this.#pendingReady.delete(handler)) {
+                this.#sendReadyCheck();
+                this.#checkReady();
+            }
+        };
+        this.#pendingReady.set(handler, res);
+        handler.addExternalListener(this.#id, 'ready', res);
+    }
+    #sendReadyCheck() {
+        if (this.#pendingReady.size == 0) return;
+        const pending = Array.from(this.#pendingReady.keys()).map(handler => handler.username);
+        this.#forEachHandler((handler) => handler.send('readyCheck', { pending: pending, timeLeft: Math.max(this.#readyDeadline - Date.now(), 0) }));
+    }
+    #handleReadyTimeout() {
+        this.#readyTimeout = null;
+        if (this.#pendingReady.size == 0 || !Room.#list.has(this)) return;
+        const pending = Array.from(this.#pendingReady.keys());
+        this.#warn(`Game ${this.#id} ready check timed out waiting for ${pending.map(handler => handler.debugId).join(', ')}`);
+        this.#forEachHandler((handler) => handler.send('readyCheckFailed', { pending: pending.map(handler => handler.username), dropped: this.#api.readyCheckDropPlayers }));
+        // the lobby reopens either way, so dropped players leave the game short-handed instead of starting it
+        this.#pendingReady.forEach((res, handler) => handler.removeExternalListener(this.#id, 'ready', res));
+        this.#pendingReady.clear();
+        this.#open = true;
+        if (this.#api.readyCheckDropPlayers) {
+            for (const handler of pending) {
+                this.#info(`${handler.debugId} was dropped from game ${this.#id} for not responding`);
+                this.#api.emit('playerKicked', this, handler);
+                handler.send('gameKicked');
+                handler.leaveGame();
+            }
+        }
+        if (!Room.#list.has(this)) return;
+        this.#info(`Game ${this.#id} reopened`);
+        this.#updateTeamLists();
+    }
+    #checkReady() {
+        if (this.#open || this.#proxyMode || this.#pendingReady.size > 0 || !Room.#list.has(this)) return;
+        if (this.#host.logEverything) this.#debug(`Game ${this.#id} connections checked, starting proxy mode`);
+        clearTimeout(this.#readyTimeout);
+        this.#readyTimeout = null;
+        this.#proxyMode = true;
+        if (this.#api.replayManager != null) {
+            this.#replay = this.#api.replayManager.record(this.#id, {
+                gameType: this.#type,
+                format: this.#host.clientType,
+                teamA: Array.from(this.#teamA).map(handler => handler.username),
+                teamB: Array.from(this.#teamB).map(handler => handler.username),
+                teamSize: this.#teamSize
             });
         }
+        this.#addHostProxyListeners();
+        this.#teamA.forEach((handler) => this.#addPlayerListeners(handler, 0));
+        this.#teamB.forEach((handler) => this.#addPlayerListeners(handler, 1));
+        this.#api.emit('roomStarted', this);
+    }
+    #addHostListeners() {
+        this.#host.addExternalListener(this.#id, 'changeTeam', (team) => this.changeTeam(this.#host, team));
+        this.#host.addExternalListener(this.#id, 'gameType', (type) => this.gameType = type);
+        this.#host.addExternalListener(this.#id, 'allowSpectators', (bool) => this.allowSpectators = bool);
+        this.#host.addExternalListener(this.#id, 'isPublic', (bool) => this.publicGame = bool);
+        this.#host.addExternalListener(this.#id, 'teamSize', (size) => this.teamSize = size);
+        this.#host.addExternalListener(this.#id, 'kickPlayer', (username) => this.kick(username));
+        this.#host.addExternalListener(this.#id, 'banPlayer', (username) => this.ban(username));
+        this.#host.addExternalListener(this.#id, 'unbanPlayer', (username) => this.unban(username));
+        this.#host.addExternalListener(this.#id, 'setPassword', (password) => this.#handleSetPassword(password));
+        this.#host.addExternalListener(this.#id, 'invitePlayer', (username) => this.invite(username));
+        this.#host.addExternalListener(this.#id, 'uninvitePlayer', (username) => this.uninvite(username));
+        this.#host.addExternalListener(this.#id, 'mutePlayer', (username) => this.mute(username));
+        this.#host.addExternalListener(this.#id, 'unmutePlayer', (username) => this.unmute(username));
+        this.#host.addExternalListener(this.#id, 'movePlayer', (data) => this.move(data.username, data.team, data.username2));
+        this.#host.addExternalListener(this.#id, 'maxPing', (rule) => this.setMaxPing(rule.limit, rule.block));
+        this.#host.addExternalListener(this.#id, 'inputDelay', (delay) => this.inputDelay = delay);
+        this.#host.addExternalListener(this.#id, 'startGame', (options) => this.start(options?.force === true));
+    }
+    #addHostProxyListeners() {
+        this.#host.addExternalListener(this.#id, 'gridSize', (size) => this.#handleGridSize(size));
+        this.#host.addExternalListener(this.#id, 'tick', (tick) => this.#handleTick(tick));
+        this.#host.addExternalListener(this.#id, 'gameResult', (result) => this.#handleGameResult(result));
+    }
+    #addListeners(handler) {
+        handler.addExternalListener(this.#id, 'chat', (data) => this.#handleChat(data, handler));
+        handler.addExternalListener(this.#id, 'resync', () => this.#deltaSynced.delete(handler));
+        handler.addExternalListener(this.#id, 'gridHash', (report) => this.#handleGridHash(report, handler));
+        handler.addExternalListener(this.#id, 'gridReport', (report) => this.#handleGridReport(report, handler));
+    }
+    #addPlayerListeners(handler, team) {
+        handler.addExternalListener(this.#id, 'input', (input) => this.#handleInput(input, handler, team));
+        if (handler.hasCapability('inputBatch')) handler.addExternalListener(this.#id, 'inputBatch', (inputs) => this.#handleInputBatch(inputs, handler, team));
+    }
+    #issueResumeToken(handler) {
+        const token = randomBytes(16).toString('hex');
+        this.#resumeTokens.set(handler, token);
+        handler.send('resumeToken', token);
     }
     #updateTeamLists() {
         const teams = {
-            teamA: Array.from(this.#teamA).map(handler => handler.username),
-            teamB: Array.from(this.#teamB).map(handler => handler.username),
-            spectators: Array.from(this.#spectators).map(handler => handler.username),
-            teamSize: this.#teamSize
+            ...this.teams,
+            banned: this.#bannedPlayers.map(ban => ban.username),
+            muted: Array.from(this.#mutedPlayers),
+            invited: Array.from(this.#invitedPlayers),
+            hasPassword: this.hasPassword,
+            teamSize: this.#teamSize,
+            latency: this.#latencies(),
+            maxPing: { limit: this.#maxPing, block: this.#maxPingBlocks },
+            inputDelay: this.#inputDelay
         };
         this.#host.send('updateTeamLists', teams);
         this.#host.sendToGameRoom('updateTeamLists', teams);
     }
-    #handleGridSize(size) {
-        if (typeof size != 'object' || size == null || typeof size.width != 'number' || typeof size.height != 'number') {
-            console.warn(`${this.#host.debugId} kicked for sending invalid grid size`);
-            this.#host.destroy('Invalid grid size', true);
+    #sendRoomStats() {
+        const stats = {
+            latency: this.#latencies(),
+            maxPing: { limit: this.#maxPing, block: this.#maxPingBlocks },
+            lagging: [...this.#teamA, ...this.#teamB].filter((handler) => this.#isLagging(handler)).map((handler) => handler.username)
+        };
+        this.#host.send('roomStats', stats);
+        this.#host.sendToGameRoom('roomStats', stats);
+    }
+    #latencies() {
+        const latencies = {};
+        this.#forEachHandler((handler) => latencies[handler.username] = { rtt: handler.rtt, jitter: handler.jitter });
+        return latencies;
+    }
+    #isLagging(handler) {
+        return this.#maxPing != null && handler.rtt != null && handler.rtt > this.#maxPing;
+    }
+    #handleChat(data, handler) {
+        if (typeof data != 'object' || data == null || typeof data.message != 'string' || typeof data.team != 'boolean') return;
+        if (this.#mutedPlayers.has(handler.username)) {
+            handler.send('chatFail', 2);
+            return;
+        }
+        const message = data.message.trim();
+        if (message.length == 0) return;
+        if (message.length > 200) {
+            handler.send('chatFail', 1);
             return;
         }
-        this.#host.sendToGameRoom('gridSize', { width: size.width, height: size.height });
+        // 5 messages every 5 seconds
+        const now = performance.now();
+        const history = (this.#chatHistory.get(handler) ?? []).filter((time) => now - time < 5000);
+        this.#chatHistory.set(handler, history);
+        if (history.length >= 5) {
+            handler.send('chatFail', 0);
+            return;
+        }
+        history.push(now);
+        const line = { username: handler.username, message: this.#api.filterChat(message), team: data.team };
+        if (data.team) {
+            const team = this.#teamA.has(handler) ? this.#teamA : (this.#teamB.has(handler) ? this.#teamB : this.#spectators);
+            team.forEach((teammate) => teammate.send('chat', line));
+            this.#info(`[${team == this.#teamA ? 'Alpha' : (team == this.#teamB ? 'Beta' : 'Spectators')}] ${handler.debugId}: ${line.message}`);
+        } else {
+            handler.send('chat', line);
+            handler.sendToGameRoom('chat', line);
+            this.#info(`[All] ${handler.debugId}: ${line.message}`);
+        }
+    }
+    #handleGridSize(size) {
+        this.#gridSize = { width: size.width, height: size.height };
+        if (this.#replay) this.#replay.gridSize(this.#gridSize);
+        this.#host.sendToGameRoom('gridSize', this.#gridSize);
     }
     #handleTick(tick) {
-        if (typeof tick != 'object' || tick == null || !Buffer.isBuffer(tick.grid)
-            || !Buffer.isBuffer(tick.teamGrid) || tick.teamGrid.length < 1
-            || !(tick.booleanGrids instanceof Array) || tick.booleanGrids.findIndex(g => !Buffer.isBuffer(g)) != -1
-            || typeof tick.origin != 'string' || tick.data == null || typeof tick.data != 'object'
-            || typeof tick.data.tick != 'number' || !(tick.data.teamPixelAmounts instanceof Array)) {
-            console.warn(`${this.#host.debugId} kicked for sending invalid game tick data`);
-            this.#host.destroy('Invalid game tick data', true);
+        this.#lastTick = { clientType: this.#host.clientType, tick: tick };
+        this.#currentTick = tick.data.tick;
+        // desync checks reuse the grids converted for sending the tick, hashing them once per format
+        const recent = { grid: tick.grid, clientType: this.#host.clientType, grids: new Map([[this.#host.clientType, tick.grid]]), hashes: new Map() };
+        this.#recentTicks.set(tick.data.tick, recent);
+        if (this.#recentTicks.size > Room.#hashHistory) this.#recentTicks.delete(this.#recentTicks.keys().next().value);
+        this.#api.metrics.countTick();
+        if (this.#replay) this.#replay.tick(tick, this.#host.clientType);
+        this.#api.emit('tick', this, tick);
+        this.#releaseInputs();
+        // skip ticks while the worker is behind instead of queueing them up
+        if (this.#pendingTicks >= Room.#maxPendingTicks) {
+            if (this.#host.logEverything) this.#debug(`Game ${this.#id} dropped a tick - worker is behind`);
             return;
         }
-        let conversionCache = new Map();
-        conversionCache.set(this.#host.clientType, { grid: tick.grid, pixels: tick.data.teamPixelAmounts });
+        // full keyframe every 200 ticks so delta clients can't drift forever
+        const keyframe = this.#tickCount++ % 200 == 0;
+        const targets = new Set();
+        const deltas = new Set();
         this.#forEachHandler((handler) => {
             if (handler == this.#host) return;
-            let conversion;
-            if (conversionCache.has(handler.clientType)) {
-                conversion = conversionCache.get(handler.clientType);
-            } else {
-                conversion = {
-                    grid: this.#api.pixelConverter.convertGrid(tick.grid, this.#host.clientType, handler.clientType),
-                    pixels: tick.data.teamPixelAmounts.map(arr => {
-                        let mappedArr = [];
-                        for (let n in arr) {
-                            if (arr[n] !== 0) mappedArr[this.#api.pixelConverter.convert(n, this.#host.clientType, handler.clientType)] = arr[n];
+            targets.add(handler.clientType);
+            if (handler.deltaTicks && !keyframe && this.#deltaSynced.has(handler)) deltas.add(handler.clientType);
+        });
+        this.#pendingTicks++;
+        this.#api.tickWorkers.process(this.#id, {
+            grid: tick.grid,
+            teamGrid: tick.teamGrid,
+            booleanGrids: tick.booleanGrids,
+            teamPixelAmounts: tick.data.teamPixelAmounts,
+            from: this.#host.clientType,
+            targets: Array.from(targets),
+            deltas: Array.from(deltas)
+        }).then((conversions) => {
+            if (!Room.#list.has(this)) return;
+            for (const clientType in conversions) recent.grids.set(clientType, conversions[clientType].grid);
+            this.#forEachHandler((handler) => {
+                const conversion = conversions[handler.clientType];
+                // the host may have changed or players joined while the tick was converted
+                if (handler == this.#host || conversion == undefined) return;
+                if (conversion.delta != null && handler.deltaTicks && this.#deltaSynced.has(handler)) {
+                    handler.send('tickDelta', {
+                        grid: conversion.delta.grid,
+                        teamGrid: conversion.delta.teamGrid,
+                        booleanGrids: conversion.delta.booleanGrids,
+                        data: {
+                            tick: tick.data.tick,
+                            teamPixelAmounts: conversion.pixels,
+                            pixeliteCounts: tick.data.pixeliteCounts,
+                            cameraShake: tick.data.cameraShake ?? 0
                         }
-                        return mappedArr;
-                    })
-                };
-                conversionCache.set(handler.clientType, conversion);
-            }
-            handler.send('tick', {
-                grid: conversion.grid,
-                teamGrid: tick.teamGrid,
-                booleanGrids: tick.booleanGrids,
-                data: {
-                    tick: tick.data.tick,
-                    teamPixelAmounts: conversion.pixels,
-                    pixeliteCounts: tick.data.pixeliteCounts,
-                    cameraShake: tick.data.cameraShake ?? 0
+                    });
+                    return;
                 }
+                if (handler.deltaTicks) this.#deltaSynced.add(handler);
+                handler.send('tick', {
+                    grid: conversion.grid,
+                    teamGrid: tick.teamGrid,
+                    booleanGrids: tick.booleanGrids,
+                    data: {
+                        tick: tick.data.tick,
+                        teamPixelAmounts: conversion.pixels,
+                        pixeliteCounts: tick.data.pixeliteCounts,
+                        cameraShake: tick.data.cameraShake ?? 0
+                    }
+                });
             });
-        });
+        }).catch((err) => {
+            this.#error(`Game ${this.#id} failed to convert tick:`);
+            this.#error(err.stack);
+        }).finally(() => this.#pendingTicks--);
+    }
+    #handleGridHash(report, handler) {
+        if (!this.#proxyMode || handler == this.#host) return;
+        const source = this.#recentTicks.get(report.tick);
+        // ticks that were dropped or are still being converted can't be checked
+        const expected = source?.grids.get(handler.clientType);
+        if (expected == undefined) return;
+        const now = Date.now();
+        if (now - (this.#lastHashCheck.get(handler) ?? 0) < Room.#hashCheckInterval) return;
+        this.#lastHashCheck.set(handler, now);
+        if (!source.hashes.has(handler.clientType)) source.hashes.set(handler.clientType, createHash('sha256').update(expected).digest('hex'));
+        if (source.hashes.get(handler.clientType) == report.hash.toLowerCase()) return;
+        this.#api.metrics.countDesync(source.clientType, handler.clientType);
+        this.#warn(`${handler.debugId} (${handler.clientType}) desynced from the host (${source.clientType}) of game ${this.#id} at tick ${report.tick}`);
+        this.#pendingDesyncs.set(handler, { tick: report.tick, source: source, expected: expected });
+        handler.send('gridRequest', { tick: report.tick });
+    }
+    #handleGridReport(report, handler) {
+        const pending = this.#pendingDesyncs.get(handler);
+        if (pending == undefined || pending.tick != report.tick) return;
+        this.#pendingDesyncs.delete(handler);
+        const { run, mismatches } = Room.#compareGrids(pending.source.grid, pending.expected, report.grid);
+        for (const [key, count] of mismatches) {
+            const [sourceId, expectedId, actualId] = key.split(':');
+            this.#warn(`Desync in game ${this.#id}: ${pending.source.clientType} ${sourceId} -> ${handler.clientType} ${expectedId}, but ${handler.debugId} had ${actualId} (${count} runs)`);
+        }
+        const desync = { username: handler.username, tick: report.tick, run: run };
+        handler.send('desync', desync);
+        this.#host.send('desync', desync);
     }
-    #handleInputBatch(inputs, handler, team) {
-        if (!(inputs instanceof Array)) {
-            console.warn(`${handler.debugId} kicked for sending invalid game tick data`);
-            handler.destroy('Invalid game tick data', true);
-            return;
+    /**
+     * Compares a grid against the grid a client should have had, entry by entry in the run-length encoding of
+     * ticks. Pixel ID mismatches are only counted up to the first entry where the structure of the grids differs.
+     * @param {Buffer} source Grid of the host, in the format of the host.
+     * @param {Buffer} expected `source` converted into the format of the client.
+     * @param {Buffer} actual Grid of the client.
+     * @returns {{run: DesyncRun|null, mismatches: Map<string, number>}} The first differing run (or `null` if the grids are equal), and the number of runs by mismatching "source:expected:actual" pixel ID triple.
+     */
+    static #compareGrids(source, expected, actual) {
+        let run = null;
+        const mismatches = new Map();
+        let i = 0;
+        let index = 0;
+        outer: while (i < expected.length) {
+            let header = expected[i];
+            let actualHeader = actual[i];
+            i++;
+            for (let j = 0; j < 8 && i < expected.length; j++) {
+                const single = (header & 0b10000000) != 0;
+                const actualSingle = (actualHeader & 0b10000000) != 0;
+                const length = single ? 1 : expected[i + 1];
+                const actualLength = actualSingle ? 1 : actual[i + 1];
+                if (expected[i] != actual[i] || length != actualLength || single != actualSingle) {
+                    run ??= { index: index, offset: i, expected: { id: expected[i], length: length }, actual: { id: actual[i] ?? null, length: actualLength ?? null } };
+                    // everything after a different run length is misaligned
+                    if (length != actualLength || single != actualSingle) break outer;
+                    const key = `${source[i]}:${expected[i]}:${actual[i]}`;
+                    mismatches.set(key, (mismatches.get(key) ?? 0) + 1);
+                }
+                i += single ? 1 : 2;
+                index++;
+                header <<= 1;
+                actualHeader <<= 1;
+            }
         }
-        let forwarded = [];
-        for (let input of inputs) {
-            forwarded.push(this.#handleInput(input, handler, team, false));
+        if (run == null && actual.length != expected.length) run = { index: index, offset: i, expected: null, actual: { id: actual[i] ?? null, length: null } };
+        return { run: run, mismatches: mismatches };
+    }
+    #handleGameResult(result) {
+        if (this.#result != null) return;
+        this.#result = {
+            winner: result.winner,
+            duration: result.duration,
+            teamPixelAmounts: result.teamPixelAmounts,
+            pixeliteCounts: result.pixeliteCounts,
+            disputed: false
+        };
+        // players who leave during the sign-off are still part of the match, so losing players can't escape their rating loss
+        this.#resultTeams = [Array.from(this.#teamA), Array.from(this.#teamB)];
+        this.#info(`${this.#host.debugId} reported the result of game ${this.#id}: ${result.winner == null ? 'draw' : `team ${result.winner == 0 ? 'A' : 'B'} won`}`);
+        // the other players have to sign off on the result, silence and leaving count as approval
+        const players = [...this.#teamA, ...this.#teamB].filter((handler) => handler != this.#host && !this.#isDisconnected(handler));
+        for (const handler of players) {
+            const respond = (approved) => {
+                handler.removeExternalListener(this.#id, 'signOffResult', respond);
+                this.#signOffs.delete(handler);
+                if (!approved) {
+                    this.#result.disputed = true;
+                    this.#info(`${handler.debugId} disputed the result of game ${this.#id}`);
+                }
+                if (this.#signOffs.size == 0) this.#recordResult();
+            };
+            this.#signOffs.set(handler, respond);
+            handler.addExternalListener(this.#id, 'signOffResult', respond);
+            handler.send('resultSignOff', { winner: result.winner, duration: result.duration, teamPixelAmounts: result.teamPixelAmounts, pixeliteCounts: result.pixeliteCounts, timeLeft: Room.#signOffPeriod });
+        }
+        if (this.#signOffs.size == 0) this.#recordResult();
+        else this.#signOffTimeout = setTimeout(() => this.#recordResult(), Room.#signOffPeriod);
+    }
+    #recordResult() {
+        this.#recording ??= this.#storeResult();
+        return this.#recording;
+    }
+    async #storeResult() {
+        clearTimeout(this.#signOffTimeout);
+        this.#signOffs.forEach((respond, handler) => handler.removeExternalListener(this.#id, 'signOffResult', respond));
+        this.#signOffs.clear();
+        const match = {
+            id: this.#replay?.id ?? `${this.#id}-${Date.now()}`,
+            gameType: this.#type,
+            format: this.#host.clientType,
+            teamA: this.#resultTeams[0].map(handler => handler.username),
+            teamB: this.#resultTeams[1].map(handler => handler.username),
+            ...this.#result,
+            replay: this.#replay?.id ?? null
+        };
+        // guests could play under anyone's username, so only matches between signed in players are rated when accounts are enabled
+        const rated = !match.disputed && (this.#api.accountStore == null || [...this.#resultTeams[0], ...this.#resultTeams[1]].every((handler) => handler.authenticated));
+        if (this.#api.ladder != null) {
+            try {
+                this.#result = await this.#api.ladder.record(match, rated);
+            } catch (err) {
+                this.#error(`Failed to record the result of game ${this.#id}:`);
+                this.#error(err.stack);
+                this.#result = match;
+            }
+        } else {
+            this.#result = match;
         }
-        this.#host.send('inputBatch', forwarded.filter(f => f != undefined));
+        if (Room.#list.has(this)) this.destroy();
     }
-    #handleInput(input, handler, team, forward = true) {
-        if (typeof input != 'object' || input == null || typeof input.type != 'number' || !(input.data instanceof Array)) {
-            console.warn(`${handler.debugId} kicked for sending invalid game tick data`);
-            handler.destroy('Invalid game tick data', true);
-            return;
+    #handleInputBatch(inputs, handler, team) {
+        let forwarded = [];
+        for (let i in inputs) {
+            forwarded.push(this.#handleInput(inputs[i], handler, team, false, `[${i}].`));
         }
+        this.#forwardInputs(forwarded.filter(f => f != undefined), true);
+    }
+    #handleInput(input, handler, team, forward = true, path = '') {
+        let converted;
         switch (input.type) {
             case 0:
                 if (input.data.length != 6) {
-                    console.warn(`${handler.debugId} kicked for sending invalid game tick data`);
-                    handler.destroy('Invalid game tick data', true);
+                    handler.reject({ code: 'INVALID_LENGTH', event: forward ? 'input' : 'inputBatch', path: path + 'data', message: 'Expected a length of 6 for input type 0' });
                     return;
                 }
                 let newdata = input.data;
                 if (input.data[5] != -1) newdata[5] = this.#api.pixelConverter.convert(input.data[5], handler.clientType, this.#host.clientType);
-                if (forward) {
-                    this.#host.send('input', { type: input.type, team: team, data: newdata });
-                } else {
-                    return { type: input.type, team: team, data: newdata };
-                }
+                converted = { type: input.type, team: team, data: newdata };
                 break;
             case 1:
                 if (input.data.length % 2 != 1 || input.data.length < 3) {
-                    console.warn(`${handler.debugId} kicked for sending invalid game tick data`);
-                    handler.destroy('Invalid game tick data', true);
+                    handler.reject({ code: 'INVALID_LENGTH', event: forward ? 'input' : 'inputBatch', path: path + 'data', message: 'Expected an odd length of at least 3 for input type 1' });
                     return;
                 }
                 let inputGrid = this.#api.pixelConverter.convertGrid(Buffer.from(input.data.slice(1)), handler.clientType, this.#host.clientType);
-                if (forward) {
-                    this.#host.send('input', { type: input.type, team: team, data: [input.data[0], ...inputGrid] });
-                } else {
-                    return { type: input.type, team: team, data: [input.data[0], ...inputGrid] };
-                }
+                converted = { type: input.type, team: team, data: [input.data[0], ...inputGrid] };
                 break;
             default:
-                console.warn(`${handler.debugId} kicked for sending invalid game tick data`);
-                handler.destroy('Invalid game tick data', true);
+                return;
+        }
+        // inputs with a target tick are held back and released in tick order
+        if (input.tick !== undefined) {
+            converted.tick = input.tick;
+            this.#scheduleInput(converted, handler);
+            return;
+        }
+        if (forward) this.#forwardInputs([converted]);
+        else return converted;
+    }
+    #scheduleInput(input, handler) {
+        if (this.#currentTick != null) {
+            let reason = null;
+            if (input.tick <= this.#currentTick) reason = 'late';
+            else if (input.tick > this.#currentTick + Room.#maxInputLead) reason = 'early';
+            if (reason != null) {
+                handler.send('inputRejected', { tick: input.tick, currentTick: this.#currentTick, reason: reason });
+                if (this.#host.logEverything) this.#debug(`${handler.debugId} sent an input for tick ${input.tick} in game ${this.#id} at tick ${this.#currentTick} - ${reason}`);
+                return;
+            }
+        }
+        if (this.#scheduledInputs.filter((scheduled) => scheduled.handler == handler).length >= Room.#maxScheduledInputs) {
+            handler.send('inputRejected', { tick: input.tick, currentTick: this.#currentTick, reason: 'full' });
+            return;
+        }
+        this.#scheduledInputs.push({ input: input, handler: handler, sequence: this.#inputSequence++ });
+        this.#releaseInputs();
+    }
+    #releaseInputs() {
+        if (this.#currentTick == null || this.#scheduledInputs.length == 0) return;
+        const due = [];
+        const held = [];
+        for (const scheduled of this.#scheduledInputs) {
+            if (scheduled.input.tick <= this.#currentTick + this.#inputDelay) due.push(scheduled);
+            else held.push(scheduled);
+        }
+        if (due.length == 0) return;
+        this.#scheduledInputs = held;
+        due.sort((a, b) => a.input.tick - b.input.tick || a.sequence - b.sequence);
+        this.#forwardInputs(due.map((scheduled) => scheduled.input), due.length > 1);
+    }
+    #forwardInputs(inputs, batch = false) {
+        if (inputs.length == 0) return;
+        if (!batch) {
+            this.#host.send('input', inputs[0]);
+            if (this.#replay) this.#replay.input(inputs[0], this.#host.clientType);
+            return;
         }
+        if (this.#host.hasCapability('inputBatch')) this.#host.send('inputBatch', inputs);
+        else inputs.forEach((input) => this.#host.send('input', input));
+        if (this.#replay) this.#replay.inputBatch(inputs, this.#host.clientType);
     }
 
     /**
@@ -819,7 +2274,7 @@ class Room {
     }
 
     set gameType(type) {
-        if ((type === 'pixelcrash' || type === 'resourcerace') && this.#open) {
+        if (this.#api.gameTypes.includes(type) && this.#open) {
             this.#type = type;
             this.#host.sendToGameRoom('gameType', this.#type);
             if (this.#host.logEverything) this.#info(`game ${this.#id} set gameType to ${this.#type}`);
@@ -837,8 +2292,15 @@ class Room {
             if (this.#host.logEverything) this.#info(`game ${this.#id} set publicGame to ${this.#public}`);
         }
     }
+    set inputDelay(delay) {
+        if (Number.isInteger(delay) && delay >= 0 && delay <= Room.#maxInputLead) {
+            this.#inputDelay = delay;
+            this.#updateTeamLists();
+            if (this.#host.logEverything) this.#info(`game ${this.#id} set inputDelay to ${this.#inputDelay}`);
+        }
+    }
     set teamSize(size) {
-        if (typeof size == 'number' && size >= 1 && size <= 3 && this.#open) {
+        if (typeof size == 'number' && size >= this.#api.minTeamSize && size <= this.#api.maxTeamSize && this.#open) {
             this.#teamSize = parseInt(size);
             this.#updateTeamLists();
             if (this.#host.logEverything) this.#info(`game ${this.#id} set teamSize to ${this.#teamSize}`);
@@ -881,6 +2343,13 @@ class Room {
     get teamSize() {
         return this.#teamSize;
     }
+    /**
+     * Number of ticks before their target tick that scheduled inputs are released to the host, so they
+     * reach it before it simulates that tick.
+     */
+    get inputDelay() {
+        return this.#inputDelay;
+    }
     /**
      * Whether spectators are allowed in this game.
      */
@@ -899,23 +2368,82 @@ class Room {
     get isOpen() {
         return this.#open;
     }
+    /**
+     * State of the game: "lobby" while players can join, "starting" during the ready check, and "running" once ticks are forwarded.
+     */
+    get state() {
+        if (this.#open) return 'lobby';
+        return this.#proxyMode ? 'running' : 'starting';
+    }
+    /**
+     * Usernames of the players on each team, the spectators, and the disconnected players.
+     */
+    get teams() {
+        return {
+            teamA: Array.from(this.#teamA).map(handler => handler.username),
+            teamB: Array.from(this.#teamB).map(handler => handler.username),
+            spectators: Array.from(this.#spectators).map(handler => handler.username),
+            disconnected: Array.from(this.#disconnected.values()).map(slot => slot.handler.username)
+        };
+    }
+    /**
+     * Time the room was created in milliseconds since midnight on January 1, 1970 UTC.
+     */
+    get created() {
+        return this.#created;
+    }
+    /**
+     * Whether a password is needed to join (invited players excluded).
+     */
+    get hasPassword() {
+        return this.#passwordHash != null;
+    }
     /**
      * Whether to be listed on the public game lists.
      */
     get isPublic() {
         return this.#public;
     }
+    /**
+     * Listing of the room for the `RoomRegistry`.
+     */
+    get listing() {
+        return {
+            code: this.#id,
+            type: this.#type,
+            hostName: this.hostName,
+            hostPlatform: this.hostClient,
+            open: this.#open,
+            teamSize: this.#teamSize,
+            allowsSpectators: this.#allowSpectators,
+            hasPassword: this.hasPassword,
+            isPublic: this.#public
+        };
+    }
 
     /**
-     * Safely stops the game and cleans up.
+     * Safely stops the game and cleans up. Players are sent the result of the game in `gameEnd`, or `null`
+     * if the host did not report one, once it has been recorded.
+     * @returns {Promise} A `Promise` resolving once the players have been sent the result and removed.
      */
-    destroy() {
+    async destroy() {
         this.#info(`game ${this.#id} closed`);
+        Room.#list.delete(this);
+        clearInterval(this.#statsInterval);
+        this.#api.tickWorkers.release(this.#id);
+        this.#api.publishRooms();
+        clearTimeout(this.#readyTimeout);
+        this.#scheduledInputs = [];
+        this.#recentTicks.clear();
+        this.#pendingDesyncs.clear();
+        // a result still waiting for sign-off is recorded as it is
+        if (this.#result != null) await this.#recordResult();
+        if (this.#replay) this.#replay.end();
         this.#forEachHandler((handler) => {
-            handler.send('gameEnd');
+            handler.send('gameEnd', this.#result);
             handler.leaveGame();
         });
-        Room.#list.delete(this);
+        this.#api.emit('roomClosed', this, this.#result);
     }
     
     #debug(text) {
@@ -931,6 +2459,24 @@ class Room {
         this.#host.api.logger.error(`[Room ${this.#id}] ${text}`);
     }
 
+    /**
+     * Gets a game by its ID (game code).
+     * @param {string} id ID of the game.
+     * @returns {Room|null} The `Room` with that ID, or `null` if no such game exists.
+     */
+    static fromId(id) {
+        for (const room of Room.#list) {
+            if (room.id == id) return room;
+        }
+        return null;
+    }
+    /**
+     * Gets a list of all games.
+     * @returns An array of `Room`s.
+     */
+    static list() {
+        return Array.from(Room.#list);
+    }
     /**
      * Gets a list of all open games, regardless of if the room is public or searching as a spectator.
      * @returns An array of `Room`s.
@@ -942,21 +2488,169 @@ class Room {
         }
         return ret;
     }
+}
+
+/**
+ * Pools players queued for a game mode and team size and forms games once enough players are waiting.
+ */
+class Matchmaker {
+    #api;
+    #pools = new Map();
+    #waitTimes = new Map();
+    #updateInterval = null;
+
     /**
-     * Gets a list of all open public games, considering whether spectators are on or not.
-     * @param {boolean} spectating Only show rooms with spectators on.
-     * @returns An array of `Room`s.
+     * Create a `Matchmaker` for a `PixSimAPI`.
+     * @param {PixSimAPI} api Parent `PixSimAPI` instance.
      */
-    static publicRooms(spectating) {
-        const ret = [];
-        for (const room of Room.#list) {
-            if ((room.isOpen || spectating) && room.isPublic && (room.allowSpectators || !spectating)) ret.push(room);
+    constructor(api) {
+        if (!(api instanceof PixSimAPI)) throw new TypeError('"api" must be an instance of PixSimAPI');
+        this.#api = api;
+        this.#updateInterval = setInterval(() => this.#pools.forEach((pool, key) => this.#sendStatus(key)), 5000);
+    }
+
+    /**
+     * Adds a `PixSimHandler` to the queue for a game mode and team size, replacing any queue it was already in.
+     * @param {PixSimHandler} handler `PixSimHandler` to queue.
+     * @param {string} gameType Game mode to queue for.
+     * @param {number} teamSize Size of the teams to queue for, within the team size bounds of the `PixSimAPI`.
+     * @returns {boolean} Whether the handler was queued.
+     */
+    queue(handler, gameType, teamSize) {
+        if (!(handler instanceof PixSimHandler) || !this.#api.gameTypes.includes(gameType) || typeof teamSize != 'number' || teamSize < this.#api.minTeamSize || teamSize > this.#api.maxTeamSize) return false;
+        teamSize = parseInt(teamSize);
+        this.cancel(handler);
+        const key = `${gameType}/${teamSize}`;
+        if (!this.#pools.has(key)) this.#pools.set(key, []);
+        this.#pools.get(key).push({ handler: handler, time: performance.now() });
+        this.#info(`${handler.debugId} queued for ${gameType} with team size ${teamSize}`);
+        if (!this.#tryMatch(key, gameType, teamSize)) this.#sendStatus(key);
+        return true;
+    }
+    /**
+     * Removes a `PixSimHandler` from the queue it is in, if it is in one.
+     * @param {PixSimHandler} handler `PixSimHandler` to remove.
+     */
+    cancel(handler) {
+        for (const [key, pool] of this.#pools) {
+            const index = pool.findIndex((entry) => entry.handler == handler);
+            if (index == -1) continue;
+            pool.splice(index, 1);
+            if (this.#api.logEverything) this.#info(`${handler.debugId} left the queue for ${key}`);
+            if (pool.length == 0) this.#pools.delete(key);
+            else this.#sendStatus(key);
+            return;
         }
-        return ret;
+    }
+
+    /**
+     * Removes every `PixSimHandler` from the queues, sending them a `queueFail`.
+     */
+    cancelAll() {
+        for (const [key, pool] of this.#pools) {
+            pool.forEach((entry) => entry.handler.send('queueFail', 2));
+            if (this.#api.logEverything) this.#info(`Cleared the queue for ${key}`);
+        }
+        this.#pools.clear();
+    }
+
+    #tryMatch(key, gameType, teamSize) {
+        const pool = this.#pools.get(key);
+        if (pool == undefined || pool.length < teamSize * 2) return false;
+        const players = pool.splice(0, teamSize * 2);
+        if (pool.length == 0) this.#pools.delete(key);
+        const host = this.#pickHost(players.map((entry) => entry.handler));
+        for (const entry of players) entry.handler.send('matchFound', { gameType: gameType, teamSize: teamSize, hostName: host.username });
+        const room = host.hostGame();
+        const failed = [];
+        if (room == null) {
+            failed.push(host);
+        } else {
+            room.publicGame = false;
+            room.gameType = gameType;
+            room.teamSize = teamSize;
+            for (const entry of players) {
+                if (entry.handler != host && !entry.handler.joinRoom(room, false)) failed.push(entry.handler);
+            }
+        }
+        if (failed.length > 0) {
+            // players that couldn't join are dropped, everyone else goes back to their place in the queue
+            this.#info(`Failed to form game for ${gameType} with team size ${teamSize} - ${failed.map((handler) => handler.debugId).join(', ')} could not join`);
+            room?.destroy();
+            failed.forEach((handler) => handler.send('queueFail', 3));
+            this.#requeue(key, players.filter((entry) => !failed.includes(entry.handler)));
+            if (!this.#tryMatch(key, gameType, teamSize)) this.#sendStatus(key);
+            return true;
+        }
+        // remember the last few wait times to estimate how long the next players will wait
+        const waitTimes = this.#waitTimes.get(key) ?? [];
+        const now = performance.now();
+        for (const entry of players) waitTimes.push(now - entry.time);
+        this.#waitTimes.set(key, waitTimes.slice(-20));
+        this.#info(`Formed game ${room.id} for ${gameType} with team size ${teamSize}, hosted by ${host.debugId}`);
+        room.start();
+        if (this.#pools.has(key)) this.#sendStatus(key);
+        return true;
+    }
+    #requeue(key, entries) {
+        if (entries.length == 0) return;
+        if (!this.#pools.has(key)) this.#pools.set(key, []);
+        const pool = this.#pools.get(key);
+        pool.push(...entries);
+        pool.sort((a, b) => a.time - b.time);
+    }
+    #pickHost(handlers) {
+        // a host can convert to everyone if every other client is either the same or also convertible
+        const formats = this.#api.pixelConverter.conversionFormats;
+        const clientCounts = new Map();
+        for (const handler of handlers) clientCounts.set(handler.clientType, (clientCounts.get(handler.clientType) ?? 0) + 1);
+        const canConvert = (clientType) => handlers.every((handler) => handler.clientType == clientType || (formats.includes(clientType) && formats.includes(handler.clientType)));
+        const candidates = handlers.filter((handler) => canConvert(handler.clientType));
+        if (candidates.length == 0) return handlers[0];
+        // prefer the most common client, which needs the fewest conversions
+        return candidates.reduce((best, handler) => clientCounts.get(handler.clientType) > clientCounts.get(best.clientType) ? handler : best);
+    }
+    #sendStatus(key) {
+        const pool = this.#pools.get(key);
+        if (pool == undefined) return;
+        const [gameType, teamSize] = key.split('/');
+        const waitTimes = this.#waitTimes.get(key);
+        const averageWait = waitTimes ? waitTimes.reduce((acc, curr) => acc + curr, 0) / waitTimes.length : null;
+        const now = performance.now();
+        pool.forEach((entry, i) => entry.handler.send('queueStatus', {
+            gameType: gameType,
+            teamSize: parseInt(teamSize),
+            position: i + 1,
+            queued: pool.length,
+            needed: teamSize * 2,
+            waited: Math.round(now - entry.time),
+            estimatedWait: averageWait == null ? null : Math.max(Math.round(averageWait - (now - entry.time)), 0)
+        }));
+    }
+
+    /**
+     * Stops sending queue updates.
+     */
+    close() {
+        clearInterval(this.#updateInterval);
+    }
+
+    #info(text) {
+        this.#api.logger.info(`[Matchmaker] ${text}`);
     }
 }
 
+/**
+ * The first run of a grid that differs from the grid of the host.
+ * @typedef {{index: number, offset: number, expected: {id: number, length: number}|null, actual: {id: number|null, length: number|null}}} DesyncRun
+ * @param index Index of the run within the grid.
+ * @param offset Byte offset of the run within the grid.
+ * @param expected Pixel ID and length of the run on the host, converted into the format of the client. `null` if the client grid is longer.
+ * @param actual Pixel ID and length of the run on the client. `null` values if the client grid ends early.
+ */
+
 module.exports.PixSimAPI = PixSimAPI;
 module.exports.PixSimHandler = PixSimHandler;
 module.exports.Room = Room;
+module.exports.Matchmaker = Matchmaker;
 module.exports = PixSimAPI;
\ No newline at end of file
@@ -13,9 +13,12 @@ const path = require('path');
  * @note NOT SECURE!!!
  */
 class JSLoader {
+    static #cacheHits = 0;
+    static #cacheMisses = 0;
+
     #ready = null;
     #loadTime = 0;
-    #fromCache = true;
+    #fromCache = false;
     #worker = null;
     #running = false;
     #usingFallback = false;
@@ -108,6 +111,7 @@ class JSLoader {
                             } else {
                                 this.#loadTime = parseInt(raw[0]);
                                 this.#fromCache = true;
+                                JSLoader.#cacheHits++;
                                 this.#info(`Loading ${loadingUrl} from cache (${cacheFileName})`);
                                 raw.shift();
                                 parseScript(raw.reduce((prev, curr) => prev + '\n' + curr));
@@ -119,6 +123,7 @@ class JSLoader {
                 } else loadFromWeb();
             };
             let loadFromWeb = () => {
+                if (allowCache) JSLoader.#cacheMisses++;
                 if (usingInsecure) {
                     this.httpGet(loadingUrl.replace('https://', 'http://')).then(writeAndParse).catch(handleLoadError);
                 } else {
@@ -290,6 +295,19 @@ class JSLoader {
         return this.#fromCache;
     }
 
+    /**
+     * Number of files loaded from the cache by all `JSLoader`s.
+     */
+    static get cacheHits() {
+        return JSLoader.#cacheHits;
+    }
+    /**
+     * Number of files that had to be loaded from the web by all `JSLoader`s despite the cache being allowed.
+     */
+    static get cacheMisses() {
+        return JSLoader.#cacheMisses;
+    }
+
     #debug(text) {
         if (this.#logger) this.#logger.debug('[JSLoader] ' + text);
     }
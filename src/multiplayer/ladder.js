@@ -0,0 +1,128 @@
+const Logger = require('../log');
+const { MatchStore } = require('../matches');
+
+/**
+ * Ladder records finished matches to a `MatchStore`, keeps an Elo rating per player and game type,
+ * and serves the leaderboards and match histories.
+ */
+class Ladder {
+    static #initialRating = 1000;
+    static #kFactor = 32;
+    static #maxLimit = 100;
+
+    #store;
+    #logger;
+    #logEverything = false;
+
+    /**
+     * Create a new `Ladder` and set up the HTTP routes.
+     * @param {Express} app An Express app.
+     * @param {string} httpPath Path to route the leaderboards and match histories to.
+     * @param {MatchStore} store Store for matches and ratings.
+     * @param {Logger} logger `Logger` instance for logging.
+     * @param {boolean} logEverything To log or not to log everything.
+     */
+    constructor(app, httpPath, store, logger, logEverything = false) {
+        if (typeof app != 'function' || app == null || !app.hasOwnProperty('mkcalendar') || typeof app.mkcalendar != 'function') throw new TypeError('"app" must be an Express app');
+        if (typeof httpPath != 'string') throw new TypeError('"httpPath" must be a string');
+        if (!(store instanceof MatchStore)) throw new TypeError('"store" must be an instance of MatchStore');
+        if (httpPath.endsWith('/') && httpPath.length > 1) httpPath = httpPath.substring(0, httpPath.length - 1);
+        this.#store = store;
+        if (logger instanceof Logger) this.#logger = logger;
+        this.#logEverything = logEverything;
+        app.get(httpPath + '/leaderboard/:gameType', async (req, res) => {
+            try {
+                res.send(await this.#store.leaderboard(req.params.gameType, Ladder.#limit(req.query.limit)));
+                if (this.#logEverything) this.#debug(`Request for leaderboard ${req.params.gameType} success`);
+            } catch (err) {
+                this.#error(`Failed to load leaderboard ${req.params.gameType}`);
+                this.#error(err.stack);
+                res.sendStatus(500);
+            }
+        });
+        app.get(httpPath + '/players/:username', async (req, res) => {
+            const username = req.params.username;
+            try {
+                let matches = await this.#store.getMatches(username);
+                if (typeof req.query.gameType == 'string') matches = matches.filter((match) => match.gameType == req.query.gameType);
+                const ratings = {};
+                for (const gameType of new Set(matches.map((match) => match.gameType))) {
+                    const rating = await this.#store.getRating(username, gameType);
+                    if (rating != null) ratings[gameType] = rating;
+                }
+                res.send({ username: username, ratings: ratings, matches: matches.slice(0, Ladder.#limit(req.query.limit)) });
+                if (this.#logEverything) this.#debug(`Request for history of ${username} success`);
+            } catch (err) {
+                this.#error(`Failed to load history of ${username}`);
+                this.#error(err.stack);
+                res.sendStatus(500);
+            }
+        });
+    }
+
+    /**
+     * Store a finished match and update the ratings of its players if it is rated. Both teams are rated by the
+     * average rating of their players, and every player of a team gains or loses the same amount. Matches with an
+     * empty team are never rated.
+     * @param {Match} match The match, without `time`, `rated`, and `ratingChanges`.
+     * @param {boolean} rated Whether the match should change the ratings of its players.
+     * @returns {Promise<Match>} The stored match.
+     */
+    async record(match, rated) {
+        if (match.teamA.length == 0 || match.teamB.length == 0) rated = false;
+        const ratingChanges = {};
+        if (rated) {
+            const load = (usernames) => Promise.all(usernames.map(async (username) => [username, await this.#store.getRating(username, match.gameType) ?? { rating: Ladder.#initialRating, games: 0, wins: 0, losses: 0, draws: 0 }]));
+            const teamA = await load(match.teamA);
+            const teamB = await load(match.teamB);
+            const average = (team) => team.reduce((sum, [username, rating]) => sum + rating.rating, 0) / team.length;
+            const expected = 1 / (1 + 10 ** ((average(teamB) - average(teamA)) / 400));
+            const score = match.winner == null ? 0.5 : (match.winner == 0 ? 1 : 0);
+            const change = Math.round(Ladder.#kFactor * (score - expected));
+            const update = async (team, change, score) => {
+                for (const [username, rating] of team) {
+                    ratingChanges[username] = change;
+                    await this.#store.setRating(username, match.gameType, {
+                        rating: rating.rating + change,
+                        games: rating.games + 1,
+                        wins: rating.wins + (score == 1 ? 1 : 0),
+                        losses: rating.losses + (score == 0 ? 1 : 0),
+                        draws: rating.draws + (score == 0.5 ? 1 : 0)
+                    });
+                }
+            };
+            await update(teamA, change, score);
+            await update(teamB, -change, 1 - score);
+        }
+        const stored = { ...match, time: Date.now(), rated: rated, ratingChanges: ratingChanges };
+        await this.#store.addMatch(stored);
+        this.#info(`Recorded match ${match.id} (${match.gameType}, ${match.winner == null ? 'draw' : `team ${match.winner == 0 ? 'A' : 'B'} won`}${rated ? ', rated' : ''}${match.disputed ? ', disputed' : ''})`);
+        return stored;
+    }
+
+    /**
+     * The `MatchStore` the matches and ratings are stored in.
+     */
+    get store() {
+        return this.#store;
+    }
+
+    static #limit(query) {
+        const limit = parseInt(query);
+        if (isNaN(limit) || limit < 1) return Ladder.#maxLimit;
+        return Math.min(limit, Ladder.#maxLimit);
+    }
+
+    #debug(text) {
+        if (this.#logger) this.#logger.debug('[Ladder] ' + text);
+    }
+    #info(text) {
+        if (this.#logger) this.#logger.info('[Ladder] ' + text);
+    }
+    #error(text) {
+        console.error(text);
+        if (this.#logger) this.#logger.error('[Ladder] ' + text);
+    }
+}
+
+module.exports = Ladder;
\ No newline at end of file
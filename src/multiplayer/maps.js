@@ -1,6 +1,7 @@
 const fs = require("fs");
 const Logger = require("../log");
 const PixelConverter = require("./converter");
+const ClientTypeRegistry = require("./clients");
 const path = require("path");
 
 /**
@@ -9,6 +10,7 @@ const path = require("path");
 class MapManager {
     #ready;
     #pixelConverter;
+    #clientTypes;
     #logger;
     #maps = new Map();
 
@@ -18,16 +20,19 @@ class MapManager {
      * @param {string} httpPath Path to route map serving to.
      * @param {string} filePath Directory to load maps from.
      * @param {PixelConverter} converter `PixelConverter` instance for converting pixel IDs.
+     * @param {ClientTypeRegistry} clientTypes Registry of the client types to decode and serve maps for.
      * @param {Logger} logger `Logger` instance for logging.
      * @param {boolean} logEverything To log or not to log everything.
      */
-    constructor(app, httpPath, filePath, converter, logger, logEverything) {
+    constructor(app, httpPath, filePath, converter, clientTypes, logger, logEverything) {
         if (typeof app != 'function' || app == null || !app.hasOwnProperty('mkcalendar') || typeof app.mkcalendar != 'function') throw new TypeError('"app" must be an Express app');
         if (httpPath.endsWith('/') && httpPath.length > 1) httpPath = httpPath.substring(0, httpPath.length - 1);
         if (!fs.existsSync(filePath)) throw new Error('"filePath" must be a valid directory');
         filePath = path.resolve(filePath);
         if (!(converter instanceof PixelConverter)) throw new TypeError('"converter" must be an instance of PixelConverter');
         this.#pixelConverter = converter;
+        if (!(clientTypes instanceof ClientTypeRegistry)) throw new TypeError('"clientTypes" must be an instance of ClientTypeRegistry');
+        this.#clientTypes = clientTypes;
         if (logger instanceof Logger) this.#logger = logger;
         app.get(httpPath + '/list/*', (req, res) => {
             let gameMode = req.path.replace(httpPath + '/list/', '').replace('/', '');
@@ -98,148 +103,19 @@ class MapManager {
 
     #addMap(name, map) {
         let [gameMode, id] = name.split(/\/|\\/g);
+        const codec = this.#clientTypes.codecOf(map.format);
+        if (codec == null) throw new Error(`Unknown map format "${map.format}"`);
         if (!this.#maps.has(gameMode)) this.#maps.set(gameMode, new Map());
         this.#maps.get(gameMode).set(id, new Map());
         const mapData = {
             width: map.width,
             height: map.height,
-            data: [],
-            placeableData: [[], []],
-            teamData: [],
+            ...codec.decode(map, this.#pixelConverter, map.format),
             scripts: map.scripts
         };
-        switch (map.format) {
-            case 'rps':
-                const tokens = map.data.split(':');
-                tokens.pop();
-                for (let str of tokens) {
-                    let t = str.split('-');
-                    mapData.data.push([this.#pixelConverter.convertStr(t[0], 'rps', 'standard'), parseInt(t[1] ?? 1, 16)]);
-                }
-                for (let i in map.placeableData) {
-                    const tokens = map.placeableData[i].split(':');
-                    tokens.pop();
-                    let curr = 0;
-                    for (let s of tokens) {
-                        mapData.placeableData[i].push([curr, parseInt(s, 16)]);
-                        curr = (curr + 1) % 2;
-                    }
-                }
-                const tokensoneandahalf = map.teamData.split(':');
-                tokensoneandahalf.pop();
-                for (let str of tokensoneandahalf) {
-                    let t = str.split('-');
-                    mapData.teamData.push([parseInt(t[0]), parseInt(t[1], 16)]);
-                }
-                break;
-            case 'bps':
-                const tokens2 = map.data.split(':');
-                const tokens2andahalf = map.rotationData.split(':');
-                tokens2.pop();
-                tokens2andahalf.pop();
-                const grid1 = new Array(mapData.width * mapData.height);
-                const grid2 = new Array(mapData.width * mapData.height);
-                let i = 0;
-                for (let str of tokens2) {
-                    let t = str.split('-');
-                    let n = parseInt(t[1] ?? 1, 36);
-                    for (let j = 0; j < n; j++) {
-                        grid1[i++] = t[0];
-                    }
-                }
-                for (let str of tokens2andahalf) {
-                    let t = str.split('-');
-                    let n = parseInt(t[1] ?? 1, 36);
-                    for (let j = 0; j < n; j++) {
-                        grid2[i++] = t[0];
-                    }
-                }
-                let len = 0;
-                let curr1 = grid1[0];
-                let curr2 = grid2[0];
-                for (let i = 0; i < grid1.length; i++) {
-                    if (grid1[i] != curr1 || curr2 != grid2[i]) {
-                        mapData.data.push([this.#pixelConverter.convertStr(curr1 + curr2, 'bps', 'standard'), len]);
-                        len = 0;
-                        curr1 = grid1[i];
-                        curr2 = grid2[i];
-                    }
-                    len++;
-                }
-                for (let i in map.placeableData) {
-                    const tokens = map.placeableData[i].split(':');
-                    tokens.pop();
-                    for (let s of tokens) {
-                        let s1 = s.split('-');
-                        mapData.placeableData[i].push([parseInt(s1[0]), parseInt(s1[1], 36)]);
-                    }
-                }
-                const tokenstwoandthreequarters = map.teamData.split(':');
-                tokenstwoandthreequarters.pop();
-                for (let str of tokenstwoandthreequarters) {
-                    let t = str.split('-');
-                    mapData.teamData.push([parseInt(t[0]), parseInt(t[1], 36)]);
-                }
-                break;
-            case 'psp':
-                const tokens3 = map.data.split('|');
-                tokens3.pop();
-                for (let str of tokens3) {
-                    let t = str.split('~');
-                    // have to get rid of extra pixel data as is not supported officially (oh no!)
-                    mapData.data.push([this.#pixelConverter.convertStr(t[0].split('`')[0], 'psp', 'standard'), parseInt(t[1] ?? 1)]);
-                }
-                // no placeable grid or team grid...
-                break;
-        }
-        let rpsMapData = {
-            data: '',
-            placeableData: [],
-            teamData: []
-        };
-        let bpsMapData = {
-            data: '',
-            placeableData: [],
-            teamData: []
-        };
-        let pspMapData = {
-            data: '',
-            placeableData: [],
-            teamData: ''
-        };
-        for (let pair of mapData.data) {
-            rpsMapData.data += `${this.#pixelConverter.convertStr(pair[0], 'standard', 'rps')}-${pair[1].toString(16)}:`;
-            bpsMapData.data += `${this.#pixelConverter.convertStr(pair[0], 'standard', 'bps')}-${pair[1].toString(36)}:`;
-            pspMapData.data += `${this.#pixelConverter.convertStr(pair[0], 'standard', 'psp')}~${pair[1].toString(36)}|`;
-        }
-        for (let placeableData of mapData.placeableData) {
-            let curr = 0;
-            let len = 0;
-            let rpsData = '';
-            let bpsData = '';
-            let pspData = '';
-            for (let pair of placeableData) {
-                if (pair[0] != curr) {
-                    rpsData += len.toString(16) + ':';
-                    len = 0;
-                    curr = pair[0];
-                }
-                len += pair[1];
-                bpsData += `${pair[0]}-${pair[1].toString(36)}:`;
-                pspData += `${pair[0]}~${pair[1].toString(36)}|`;
-            }
-            rpsMapData.placeableData.push(rpsData);
-            bpsMapData.placeableData.push(bpsData);
-            pspMapData.placeableData.push(pspData);
-        }
-        for (let pair of mapData.teamData) {
-            rpsMapData.teamData += `${pair[0]}-${pair[1].toString(16)}:`;
-            bpsMapData.teamData += `${pair[0]}-${pair[1].toString(36)}:`;
-            pspMapData.teamData += `${pair[0]}~${pair[1].toString(36)}|`;
+        for (const format of this.#clientTypes.ids) {
+            this.#maps.get(gameMode).get(id).set(format, { ...mapData, ...this.#clientTypes.codecOf(format).encode(mapData, this.#pixelConverter, format) });
         }
-        this.#maps.get(gameMode).get(id).set('rps', { ...mapData, ...rpsMapData });
-        this.#maps.get(gameMode).get(id).set('bps', { ...mapData, ...bpsMapData });
-        this.#maps.get(gameMode).get(id).set('psp', { ...mapData, ...pspMapData });
     }
 
     /**
@@ -0,0 +1,143 @@
+const { monitorEventLoopDelay } = require('perf_hooks');
+const JSLoader = require('./jsloader');
+const Logger = require('../log');
+
+/**
+ * Collects server health statistics and serves them in the Prometheus text format.
+ */
+class Metrics {
+    static #lagResolution = 20;
+
+    #api;
+    #logger;
+    #logEverything = false;
+    #ticksForwarded = 0;
+    #bytesSent = 0;
+    #kicks = new Map();
+    #desyncs = new Map();
+    #eventLoopDelay;
+
+    /**
+     * Create a new `Metrics` and set up the HTTP route.
+     * @param {Express} app An Express app.
+     * @param {string} httpPath Path to serve the metrics on.
+     * @param {PixSimAPI} api Parent `PixSimAPI` instance.
+     * @param {Logger} logger `Logger` instance for logging.
+     * @param {boolean} logEverything To log or not to log everything.
+     */
+    constructor(app, httpPath, api, logger, logEverything = false) {
+        if (typeof app != 'function' || app == null || !app.hasOwnProperty('mkcalendar') || typeof app.mkcalendar != 'function') throw new TypeError('"app" must be an Express app');
+        if (typeof httpPath != 'string') throw new TypeError('"httpPath" must be a string');
+        this.#api = api;
+        if (logger instanceof Logger) this.#logger = logger;
+        this.#logEverything = logEverything;
+        this.#eventLoopDelay = monitorEventLoopDelay({ resolution: Metrics.#lagResolution });
+        this.#eventLoopDelay.enable();
+        app.get(httpPath, (req, res) => {
+            if (this.#logEverything) this.#debug(`Metrics requested by ${req.ip}`);
+            res.set('Content-Type', 'text/plain; version=0.0.4');
+            res.send(this.render());
+        });
+    }
+
+    /**
+     * Count a tick forwarded from a host to its room.
+     */
+    countTick() {
+        this.#ticksForwarded++;
+    }
+    /**
+     * Count bytes sent to a client.
+     * @param {number} bytes Number of bytes sent.
+     */
+    countBytes(bytes) {
+        this.#bytesSent += bytes;
+    }
+    /**
+     * Count a client being kicked.
+     * @param {string} reason Reason for the kick.
+     */
+    countKick(reason) {
+        this.#kicks.set(reason, (this.#kicks.get(reason) ?? 0) + 1);
+    }
+    /**
+     * Count a client reporting a grid hash that differs from the host's grid.
+     * @param {string} from Pixel format of the host.
+     * @param {string} to Pixel format of the client.
+     */
+    countDesync(from, to) {
+        const key = from + '\n' + to;
+        this.#desyncs.set(key, (this.#desyncs.get(key) ?? 0) + 1);
+    }
+
+    /**
+     * Renders all metrics in the Prometheus text format. Event loop lag is measured since the previous render.
+     * @returns {string} The metrics.
+     */
+    render() {
+        const lines = [];
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            for (const [labels, value, suffix = ''] of samples) {
+                const labelText = Object.entries(labels).map(([key, v]) => `${key}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',');
+                lines.push(`${name}${suffix}${labelText.length > 0 ? `{${labelText}}` : ''} ${value}`);
+            }
+        };
+        const connections = new Map();
+        for (const handler of this.#api.connections) {
+            const clientType = handler.clientType || 'none';
+            connections.set(clientType, (connections.get(clientType) ?? 0) + 1);
+        }
+        metric('pixsim_connections', 'gauge', 'Open connections by client type.', Array.from(connections, ([clientType, count]) => [{ client_type: clientType }, count]));
+        const rooms = new Map();
+        for (const room of this.#api.rooms) {
+            const key = room.state + '\n' + room.gameType;
+            rooms.set(key, (rooms.get(key) ?? 0) + 1);
+        }
+        metric('pixsim_rooms', 'gauge', 'Game rooms by state and game type.', Array.from(rooms, ([key, count]) => {
+            const [state, gameType] = key.split('\n');
+            return [{ state: state, game_type: gameType }, count];
+        }));
+        metric('pixsim_ticks_forwarded_total', 'counter', 'Ticks forwarded from hosts to their rooms.', [[{}, this.#ticksForwarded]]);
+        metric('pixsim_bytes_sent_total', 'counter', 'Bytes sent to clients.', [[{}, this.#bytesSent]]);
+        metric('pixsim_convert_grid_seconds', 'summary', 'Time spent remapping grids between client formats.', [
+            [{}, (this.#api.pixelConverter.convertGridTime + this.#api.tickWorkers.convertGridTime) / 1000, '_sum'],
+            [{}, this.#api.pixelConverter.convertGridCount + this.#api.tickWorkers.convertGridCount, '_count']
+        ]);
+        metric('pixsim_desyncs_total', 'counter', 'Grid hash mismatches between hosts and clients by pixel format.', Array.from(this.#desyncs, ([key, count]) => {
+            const [from, to] = key.split('\n');
+            return [{ from: from, to: to }, count];
+        }));
+        metric('pixsim_kicks_total', 'counter', 'Clients kicked by reason.', Array.from(this.#kicks, ([reason, count]) => [{ reason: reason }, count]));
+        const rateLimits = this.#api.rateLimiter.stats;
+        metric('pixsim_rate_limited_total', 'counter', 'Requests, connections, packets, and events rejected by rate limits.', ['http', 'connections', 'packets', 'events'].map((kind) => [{ kind: kind }, rateLimits[kind]]));
+        metric('pixsim_temp_bans_total', 'counter', 'Temporary bans issued for flooding.', [[{}, rateLimits.bans]]);
+        metric('pixsim_temp_bans_active', 'gauge', 'IP addresses currently temporarily banned.', [[{}, rateLimits.activeBans]]);
+        metric('pixsim_jsloader_cache_hits_total', 'counter', 'Remote scripts loaded from the file cache.', [[{}, JSLoader.cacheHits]]);
+        metric('pixsim_jsloader_cache_misses_total', 'counter', 'Remote scripts loaded from the web because they were not cached.', [[{}, JSLoader.cacheMisses]]);
+        // histogram is reset every scrape, so these are gauges and not a cumulative summary
+        // the sampled delays include the sampling interval itself, which isn't lag
+        const delay = this.#eventLoopDelay;
+        const lag = (nanoseconds) => Math.max(nanoseconds / 1e6 - Metrics.#lagResolution, 0) / 1000;
+        metric('pixsim_event_loop_lag_seconds', 'gauge', 'Event loop delay since the previous scrape.', delay.count > 0 ? [
+            [{ quantile: '0.5' }, lag(delay.percentile(50))],
+            [{ quantile: '0.99' }, lag(delay.percentile(99))],
+            [{ quantile: '1' }, lag(delay.max)]
+        ] : []);
+        delay.reset();
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Stops measuring event loop lag.
+     */
+    close() {
+        this.#eventLoopDelay.disable();
+    }
+
+    #debug(text) {
+        if (this.#logger) this.#logger.debug('[Metrics] ' + text);
+    }
+}
+
+module.exports = Metrics;
\ No newline at end of file
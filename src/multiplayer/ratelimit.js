@@ -0,0 +1,269 @@
+const Logger = require('../log');
+
+/**
+ * A bucket holding up to `capacity` tokens, refilled at `rate` tokens per second.
+ */
+class TokenBucket {
+    #capacity;
+    #rate;
+    #tokens;
+    #last;
+
+    /**
+     * Create a new full `TokenBucket`.
+     * @param {number} capacity Maximum number of tokens.
+     * @param {number} rate Tokens added per second.
+     */
+    constructor(capacity, rate) {
+        this.#capacity = capacity;
+        this.#rate = rate;
+        this.#tokens = capacity;
+        this.#last = performance.now();
+    }
+
+    /**
+     * Take a token from the bucket.
+     * @returns {boolean} If there was a token to take.
+     */
+    take() {
+        this.#refill();
+        if (this.#tokens < 1) return false;
+        this.#tokens--;
+        return true;
+    }
+    #refill() {
+        const now = performance.now();
+        this.#tokens = Math.min(this.#capacity, this.#tokens + (now - this.#last) * this.#rate / 1000);
+        this.#last = now;
+    }
+
+    /**
+     * Whether the bucket has refilled completely (and can be discarded).
+     */
+    get full() {
+        this.#refill();
+        return this.#tokens >= this.#capacity;
+    }
+}
+
+/**
+ * Central rate limiting and DoS protection. Keeps token buckets for HTTP requests and new connections
+ * per IP address, for packets per socket, and for individual events per socket, and temporarily bans
+ * IP addresses that keep flooding the server, for longer on each offence.
+ */
+class RateLimiter {
+    #logger;
+    #logEverything = false;
+    #trustedProxies = new Set();
+    #limits = {
+        http: { capacity: 25, rate: 100 },
+        connections: { capacity: 3, rate: 1 },
+        packets: { capacity: 250, rate: 250 },
+        events: { createGame: { capacity: 1, rate: 1 } }
+    };
+    #banDuration = 10000;
+    #maxBanDuration = 3600000;
+    #offenceExpiry = 3600000;
+    #httpBuckets = new Map();
+    #connectionBuckets = new Map();
+    #packetBuckets = new Map();
+    #eventBuckets = new Map();
+    #bans = new Map();
+    #offences = new Map();
+    #stats = { http: 0, connections: 0, packets: 0, events: 0, bans: 0 };
+    #cleanupInterval = null;
+
+    /**
+     * Create a new `RateLimiter`. Bucket limits are given as `{capacity, rate}`, where `rate` is tokens refilled per second.
+     * @param {{trustedProxies: Array<string>, http: BucketLimit, connections: BucketLimit, packets: BucketLimit, events: Object<string, BucketLimit>, banDuration: number, maxBanDuration: number, offenceExpiry: number}} options Additional options.
+     * @param options.trustedProxies Addresses of reverse proxies whose `x-forwarded-for` headers are trusted. The header is ignored for all other peers.
+     * @param options.http Limit on HTTP requests per IP address.
+     * @param options.connections Limit on new Socket.IO connections per IP address.
+     * @param options.packets Limit on Socket.IO packets per socket.
+     * @param options.events Limits on individual events per socket, by event name.
+     * @param options.banDuration Milliseconds an IP address is banned for on its first offence. Doubles with every repeated offence.
+     * @param options.maxBanDuration Maximum milliseconds of a ban.
+     * @param options.offenceExpiry Milliseconds without offences after which an IP address' offences are forgotten.
+     * @param {Logger} logger `Logger` instance for logging.
+     * @param {boolean} logEverything To log or not to log everything.
+     */
+    constructor({ trustedProxies = [], http, connections, packets, events, banDuration, maxBanDuration, offenceExpiry } = {}, logger, logEverything = false) {
+        if (!(trustedProxies instanceof Array)) throw new TypeError('"trustedProxies" must be an array');
+        trustedProxies.forEach((address) => this.#trustedProxies.add(RateLimiter.#normalize(address)));
+        if (RateLimiter.#validLimit(http)) this.#limits.http = http;
+        if (RateLimiter.#validLimit(connections)) this.#limits.connections = connections;
+        if (RateLimiter.#validLimit(packets)) this.#limits.packets = packets;
+        if (typeof events == 'object' && events != null) {
+            for (const event in events) {
+                if (RateLimiter.#validLimit(events[event])) this.#limits.events[event] = events[event];
+                else if (events[event] === null) delete this.#limits.events[event];
+            }
+        }
+        if (typeof banDuration == 'number' && banDuration >= 0) this.#banDuration = banDuration;
+        if (typeof maxBanDuration == 'number' && maxBanDuration >= 0) this.#maxBanDuration = maxBanDuration;
+        if (typeof offenceExpiry == 'number' && offenceExpiry > 0) this.#offenceExpiry = offenceExpiry;
+        if (logger instanceof Logger) this.#logger = logger;
+        this.#logEverything = logEverything;
+        this.#cleanupInterval = setInterval(() => this.#cleanup(), 60000);
+    }
+
+    /**
+     * Resolves the address of a client, only following `x-forwarded-for` through trusted proxies.
+     * @param {string} address Address of the peer that made the connection.
+     * @param {string|undefined} forwardedFor Value of the `x-forwarded-for` header.
+     * @returns {string} Address of the client.
+     */
+    resolveIp(address, forwardedFor) {
+        let ip = RateLimiter.#normalize(address ?? 'un-ip');
+        if (typeof forwardedFor != 'string') return ip;
+        // each proxy appends the address it received from, so walk back until an untrusted hop
+        const hops = forwardedFor.split(',').map((hop) => RateLimiter.#normalize(hop.trim())).filter((hop) => hop.length > 0);
+        while (this.#trustedProxies.has(ip) && hops.length > 0) ip = hops.pop();
+        return ip;
+    }
+    /**
+     * Express middleware limiting HTTP requests per IP address.
+     * @returns {function} The middleware.
+     */
+    middleware() {
+        return (req, res, next) => {
+            const ip = this.resolveIp(req.socket.remoteAddress, req.get('x-forwarded-for'));
+            if (this.isBanned(ip)) {
+                res.sendStatus(403);
+                return;
+            }
+            if (!this.#take(this.#httpBuckets, ip, this.#limits.http)) {
+                this.#stats.http++;
+                if (this.#logEverything) this.#debug(`Rate limited HTTP request from ${ip}`);
+                res.sendStatus(429);
+                return;
+            }
+            next();
+        };
+    }
+    /**
+     * Checks if a new connection from an IP address is allowed. Flooding connections gets the address banned.
+     * @param {string} ip IP address of the connection.
+     * @returns {boolean} If the connection is allowed.
+     */
+    allowConnection(ip) {
+        if (this.isBanned(ip)) return false;
+        if (this.#take(this.#connectionBuckets, ip, this.#limits.connections)) return true;
+        this.#stats.connections++;
+        this.penalize(ip, 'connection spam');
+        return false;
+    }
+    /**
+     * Checks if a socket is allowed to send another packet.
+     * @param {string} id ID of the socket.
+     * @returns {boolean} If the packet is allowed.
+     */
+    allowPacket(id) {
+        if (this.#take(this.#packetBuckets, id, this.#limits.packets)) return true;
+        this.#stats.packets++;
+        return false;
+    }
+    /**
+     * Checks if a socket is allowed to send an event. Events without a limit are always allowed.
+     * @param {string} id ID of the socket.
+     * @param {string} event Name of the event.
+     * @returns {boolean} If the event is allowed.
+     */
+    allowEvent(id, event) {
+        const limit = this.#limits.events[event];
+        if (limit == undefined) return true;
+        if (!this.#eventBuckets.has(id)) this.#eventBuckets.set(id, new Map());
+        if (this.#take(this.#eventBuckets.get(id), event, limit)) return true;
+        this.#stats.events++;
+        return false;
+    }
+    /**
+     * Discards the buckets of a socket once it disconnects.
+     * @param {string} id ID of the socket.
+     */
+    release(id) {
+        this.#packetBuckets.delete(id);
+        this.#eventBuckets.delete(id);
+    }
+    /**
+     * Records an offence for an IP address and bans it. The ban doubles in length for every offence since the offences were last forgotten.
+     * @param {string} ip IP address to ban.
+     * @param {string} reason Reason for the ban.
+     */
+    penalize(ip, reason) {
+        const now = Date.now();
+        const offences = this.#offences.get(ip);
+        const count = offences != undefined && now - offences.last < this.#offenceExpiry ? offences.count + 1 : 1;
+        this.#offences.set(ip, { count: count, last: now });
+        const duration = Math.min(this.#banDuration * 2 ** (count - 1), this.#maxBanDuration);
+        this.#bans.set(ip, now + duration);
+        this.#stats.bans++;
+        this.#warn(`Banned ${ip} for ${Math.round(duration / 1000)}s (offence ${count}) - ${reason}`);
+    }
+    /**
+     * Checks if an IP address is temporarily banned.
+     * @param {string} ip IP address to check.
+     * @returns {boolean} If the address is banned.
+     */
+    isBanned(ip) {
+        const until = this.#bans.get(ip);
+        if (until == undefined) return false;
+        if (until > Date.now()) return true;
+        this.#bans.delete(ip);
+        return false;
+    }
+
+    /**
+     * Counts of requests, connections, packets, and events that were limited, bans issued, and current bans.
+     */
+    get stats() {
+        const now = Date.now();
+        let activeBans = 0;
+        for (const until of this.#bans.values()) if (until > now) activeBans++;
+        return { ...this.#stats, activeBans: activeBans };
+    }
+
+    /**
+     * Stops cleaning up idle buckets.
+     */
+    close() {
+        clearInterval(this.#cleanupInterval);
+    }
+
+    #take(buckets, key, limit) {
+        if (!buckets.has(key)) buckets.set(key, new TokenBucket(limit.capacity, limit.rate));
+        return buckets.get(key).take();
+    }
+    #cleanup() {
+        const now = Date.now();
+        for (const buckets of [this.#httpBuckets, this.#connectionBuckets]) {
+            for (const [key, bucket] of buckets) if (bucket.full) buckets.delete(key);
+        }
+        for (const [ip, until] of this.#bans) if (until <= now) this.#bans.delete(ip);
+        for (const [ip, offences] of this.#offences) if (now - offences.last >= this.#offenceExpiry) this.#offences.delete(ip);
+    }
+
+    static #validLimit(limit) {
+        return typeof limit == 'object' && limit != null && typeof limit.capacity == 'number' && limit.capacity >= 1 && typeof limit.rate == 'number' && limit.rate > 0;
+    }
+    static #normalize(address) {
+        // IPv4-mapped IPv6 addresses are the same client as the IPv4 address
+        return address.startsWith('::ffff:') ? address.substring(7) : address;
+    }
+
+    #debug(text) {
+        if (this.#logger) this.#logger.debug('[RateLimiter] ' + text);
+    }
+    #warn(text) {
+        console.warn(text);
+        if (this.#logger) this.#logger.warn('[RateLimiter] ' + text);
+    }
+}
+/**
+ * Size and refill rate of a token bucket.
+ * @typedef {{capacity: number, rate: number}} BucketLimit
+ * @param capacity Maximum number of tokens, which is how many actions can happen in a burst.
+ * @param rate Tokens refilled per second.
+ */
+
+module.exports = RateLimiter;
\ No newline at end of file
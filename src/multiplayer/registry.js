@@ -0,0 +1,146 @@
+const cluster = require('cluster');
+const IPCChannel = require('../ipc');
+
+/**
+ * Base class for the registry of game rooms shared by every process of a PixSim API cluster. Each process
+ * publishes listings of its own rooms, and can look up rooms of every process. Subclasses implement the
+ * storage backend.
+ */
+class RoomRegistry {
+    #processId;
+
+    /**
+     * Create a new `RoomRegistry`.
+     * @param {string|number} processId ID of this process within the cluster.
+     */
+    constructor(processId = process.pid) {
+        this.#processId = processId;
+    }
+
+    /**
+     * Replace the listings of the rooms of this process.
+     * @param {Array<RoomListing>} rooms Listings of every room of this process, without `process`.
+     */
+    async update(rooms) {
+        throw new Error('update is not implemented');
+    }
+    /**
+     * Get the listings of the rooms of every process.
+     * @returns {Promise<Array<RoomListing>>} The listings.
+     */
+    async list() {
+        throw new Error('list is not implemented');
+    }
+    /**
+     * Find the listing of a room by its code.
+     * @param {string} code Code of the room.
+     * @returns {Promise<RoomListing|null>} The listing, or `null` if no process has a room with that code.
+     */
+    async lookup(code) {
+        return (await this.list()).find((room) => room.code == code) ?? null;
+    }
+    /**
+     * Removes the listings of this process.
+     */
+    async close() {
+        await this.update([]);
+    }
+
+    /**
+     * ID of this process within the cluster.
+     */
+    get processId() {
+        return this.#processId;
+    }
+}
+
+/**
+ * `RoomRegistry` storing the listings in memory. Used on its own when there is only one process, and by
+ * the primary process of a cluster to hold the listings of its workers (see `IPCRoomRegistry.serve`).
+ */
+class LocalRoomRegistry extends RoomRegistry {
+    #processes = new Map();
+
+    async update(rooms) {
+        this.updateProcess(this.processId, rooms);
+    }
+    async list() {
+        return this.listSync();
+    }
+
+    /**
+     * Replace the listings of the rooms of any process.
+     * @param {string|number} processId ID of the process.
+     * @param {Array<RoomListing>} rooms Listings of every room of the process.
+     */
+    updateProcess(processId, rooms) {
+        if (!(rooms instanceof Array)) throw new TypeError('"rooms" must be an array');
+        if (rooms.length == 0) this.#processes.delete(processId);
+        else this.#processes.set(processId, rooms.map((room) => ({ ...room, process: processId })));
+    }
+    /**
+     * Synchronous version of `list`.
+     * @returns {Array<RoomListing>} The listings.
+     */
+    listSync() {
+        return Array.from(this.#processes.values()).flat();
+    }
+}
+
+/**
+ * `RoomRegistry` for the workers of a Node `cluster`. The listings are kept by the primary process, which
+ * has to call `IPCRoomRegistry.serve` once.
+ */
+class IPCRoomRegistry extends RoomRegistry {
+    #channel;
+
+    /**
+     * Create a new `IPCRoomRegistry`. Must be created in a cluster worker.
+     */
+    constructor() {
+        if (!cluster.isWorker) throw new Error('IPCRoomRegistry must be created in a cluster worker');
+        super(cluster.worker.id);
+        this.#channel = new IPCChannel('rooms');
+    }
+
+    async update(rooms) {
+        await this.#channel.request('update', this.processId, rooms);
+    }
+    async list() {
+        return await this.#channel.request('list');
+    }
+    async close() {
+        try {
+            await super.close();
+        } finally {
+            this.#channel.close();
+        }
+    }
+
+    /**
+     * Serve the registry to the workers of a cluster. Must be called in the primary process.
+     * @param {LocalRoomRegistry} registry Registry to keep the listings of the workers in.
+     * @returns {LocalRoomRegistry} The registry.
+     */
+    static serve(registry = new LocalRoomRegistry('primary')) {
+        if (!(registry instanceof LocalRoomRegistry)) throw new TypeError('"registry" must be an instance of LocalRoomRegistry');
+        IPCChannel.serve('rooms', {
+            update: (processId, rooms) => registry.updateProcess(processId, rooms),
+            list: () => registry.listSync()
+        });
+        cluster.on('exit', (worker) => registry.updateProcess(worker.id, []));
+        return registry;
+    }
+}
+/**
+ * A game room as seen by other processes.
+ * @typedef {{code: string, type: string, hostName: string, hostPlatform: string, open: boolean, teamSize: number, allowsSpectators: boolean, hasPassword: boolean, isPublic: boolean, process: string|number}} RoomListing
+ * @param code Code (ID) of the room.
+ * @param type Game mode of the room.
+ * @param open Whether players can still join the teams.
+ * @param process ID of the process the room is on.
+ */
+
+module.exports.RoomRegistry = RoomRegistry;
+module.exports.LocalRoomRegistry = LocalRoomRegistry;
+module.exports.IPCRoomRegistry = IPCRoomRegistry;
\ No newline at end of file
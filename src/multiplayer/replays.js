@@ -0,0 +1,572 @@
+const fs = require("fs");
+const path = require("path");
+const { Worker, isMainThread, parentPort, workerData } = require("worker_threads");
+const LZString = require("lz-string");
+const Logger = require("../log");
+const PixelConverter = require("./converter");
+const GridDelta = require("./delta");
+
+/**
+ * ReplayManager records games to a directory and serves and plays back the recorded replays in different formats.
+ */
+class ReplayManager {
+    #pixelConverter;
+    #filePath;
+    #logger;
+    #logEverything = false;
+    #replays = new Map();
+    #indexModified = null;
+    #cache = new Map();
+    #saving = new Set();
+    #worker = null;
+    #nextJob = 0;
+    #jobs = new Map();
+
+    /**
+     * Create a new ReplayManager and load the list of replays in the `filePath` directory.
+     * @param {Express} app An Express app.
+     * @param {string} httpPath Path to route replay serving to.
+     * @param {string} filePath Directory to save and load replays in. Created if it does not exist.
+     * @param {PixelConverter} converter `PixelConverter` instance for converting pixel IDs.
+     * @param {Logger} logger `Logger` instance for logging.
+     * @param {boolean} logEverything To log or not to log everything.
+     */
+    constructor(app, httpPath, filePath, converter, logger, logEverything) {
+        if (typeof app != 'function' || app == null || !app.hasOwnProperty('mkcalendar') || typeof app.mkcalendar != 'function') throw new TypeError('"app" must be an Express app');
+        if (httpPath.endsWith('/') && httpPath.length > 1) httpPath = httpPath.substring(0, httpPath.length - 1);
+        if (!fs.existsSync(filePath)) fs.mkdirSync(filePath, { recursive: true });
+        this.#filePath = path.resolve(filePath);
+        if (!(converter instanceof PixelConverter)) throw new TypeError('"converter" must be an instance of PixelConverter');
+        this.#pixelConverter = converter;
+        if (logger instanceof Logger) this.#logger = logger;
+        this.#logEverything = logEverything;
+        app.get(httpPath + '/list', (req, res) => {
+            res.setHeader('Content-Type', 'text/json');
+            res.send(JSON.stringify(this.replayList()));
+            if (logEverything) this.#debug('Request for replay list success');
+        });
+        app.get(httpPath + '/*', async (req, res) => {
+            let id = req.path.replace(httpPath + '/', '');
+            let format = req.query.format;
+            if (format == undefined || id.length == 0) {
+                res.sendStatus(400);
+                if (logEverything) this.#debug(`Request for replay ${id} fail - 400`);
+                return;
+            }
+            if (!this.hasReplay(id)) {
+                res.sendStatus(404);
+                if (logEverything) this.#debug(`Request for replay ${id} fail - 404`);
+                return;
+            }
+            if (format != this.#replays.get(id).format && !this.#pixelConverter.conversionFormats.includes(format)) {
+                res.sendStatus(400);
+                if (logEverything) this.#debug(`Request for replay ${id} fail - 400`);
+                return;
+            }
+            try {
+                const replay = await this.getReplay(id, format);
+                res.setHeader('Content-Type', 'application/octet-stream');
+                res.send(Buffer.from(replay));
+                if (logEverything) this.#debug(`Request for replay ${id} success`);
+            } catch (err) {
+                this.#error(`Failed to load replay ${id}`);
+                this.#error(err.stack);
+                res.sendStatus(500);
+            }
+        });
+        this.#refresh();
+        this.#info(`Found ${this.#replays.size} replays in ${this.#filePath}`);
+    }
+
+    #refresh() {
+        // other processes (like the workers of a cluster) can save replays to the same directory
+        const modified = fs.statSync(this.#filePath).mtimeMs;
+        if (modified == this.#indexModified) return;
+        this.#indexModified = modified;
+        for (const file of fs.readdirSync(this.#filePath)) {
+            if (!file.endsWith('.json') || this.#replays.has(file.substring(0, file.length - 5))) continue;
+            try {
+                const metadata = JSON.parse(fs.readFileSync(path.resolve(this.#filePath, file), 'utf8'));
+                if (fs.existsSync(path.resolve(this.#filePath, metadata.id + '.pxreplay'))) this.#replays.set(metadata.id, metadata);
+            } catch (err) {
+                this.#error(`Failed to load "${file}"`);
+                this.#error(err.stack);
+            }
+        }
+    }
+
+    /**
+     * Start recording a game.
+     * @param {string} gameId ID of the game being recorded.
+     * @param {{gameType: string, format: string, teamA: Array<string>, teamB: Array<string>, teamSize: number}} info Information about the game.
+     * @returns {ReplayRecorder} A new `ReplayRecorder`, which saves the replay when it is ended.
+     */
+    record(gameId, info) {
+        if (this.#logEverything) this.#debug(`Recording game ${gameId}`);
+        return new ReplayRecorder(this, this.#pixelConverter, gameId, info);
+    }
+    /**
+     * Save a finished replay to the replay directory. The replay is compressed off the main thread, and is
+     * only listed once both of its files are written.
+     * @param {Replay} replay The replay to save.
+     * @returns {Promise<boolean>} Whether the replay was saved.
+     */
+    save(replay) {
+        const saving = this.#save(replay);
+        this.#saving.add(saving);
+        saving.finally(() => this.#saving.delete(saving));
+        return saving;
+    }
+    async #save(replay) {
+        const metadata = { ...replay };
+        delete metadata.events;
+        try {
+            const compressed = await this.#runJob('compress', JSON.stringify(replay));
+            await fs.promises.writeFile(path.resolve(this.#filePath, replay.id + '.pxreplay'), compressed);
+            // renamed into place so other processes never read half of the metadata
+            const metadataPath = path.resolve(this.#filePath, replay.id + '.json');
+            await fs.promises.writeFile(metadataPath + '.tmp', JSON.stringify(metadata));
+            await fs.promises.rename(metadataPath + '.tmp', metadataPath);
+            this.#replays.set(replay.id, metadata);
+            this.#info(`Saved replay ${replay.id} (${compressed.length} bytes)`);
+            return true;
+        } catch (err) {
+            this.#error(`Failed to save replay ${replay.id}`);
+            this.#error(err.stack);
+            return false;
+        }
+    }
+    /**
+     * Wait for replays that are still being saved, then stop the compression worker.
+     * @returns {Promise} A Promise that resolves once every replay is saved.
+     */
+    async close() {
+        await Promise.all(this.#saving);
+        if (this.#worker != null) await this.#worker.terminate();
+    }
+
+    /**
+     * Get the metadata of all saved replays.
+     * @returns {Array<object>} Array of replay metadata (everything but the events).
+     */
+    replayList() {
+        this.#refresh();
+        return Array.from(this.#replays.values());
+    }
+    /**
+     * Check if a replay with the ID `id` exists.
+     * @param {string} id ID of the replay.
+     * @returns {boolean} If the replay exists.
+     */
+    hasReplay(id) {
+        this.#refresh();
+        return this.#replays.has(id);
+    }
+    /**
+     * Get a replay, compressed with `LZString.compressToUint8Array`, in the specified `format`.
+     * @param {string} id ID of the replay.
+     * @param {string} format ID of the format the replay should be supplied in.
+     * @returns {Promise<Uint8Array|null>} The compressed replay, or `null` if no such replay exists.
+     */
+    async getReplay(id, format) {
+        if (!this.hasReplay(id)) return null;
+        const key = `${id}/${format}`;
+        if (this.#cache.has(key)) return this.#cache.get(key);
+        let compressed = await fs.promises.readFile(path.resolve(this.#filePath, id + '.pxreplay'));
+        if (format != this.#replays.get(id).format) {
+            const replay = JSON.parse(await this.#runJob('decompress', compressed));
+            compressed = await this.#runJob('compress', JSON.stringify(this.#convert(replay, format)));
+        }
+        this.#cache.set(key, compressed);
+        // only keep the last few requested replays
+        if (this.#cache.size > 8) this.#cache.delete(this.#cache.keys().next().value);
+        return compressed;
+    }
+    /**
+     * Play a replay back to a `PixSimHandler` at the original tick rate, in the format of its client.
+     * @param {PixSimHandler} handler `PixSimHandler` to play the replay to.
+     * @param {string} id ID of the replay.
+     * @returns {Promise<ReplayPlayback|null>} The `ReplayPlayback`, which must be started with `start`, or `null` if no such replay exists.
+     */
+    async play(handler, id) {
+        const compressed = await this.getReplay(id, handler.clientType);
+        if (compressed == null) return null;
+        if (this.#logEverything) this.#debug(`Playing replay ${id} to ${handler.debugId}`);
+        return new ReplayPlayback(handler, JSON.parse(await this.#runJob('decompress', compressed)));
+    }
+
+    #runJob(type, data) {
+        if (this.#worker == null) {
+            // large replays take long enough to (de)compress to stall every game on the main thread
+            const worker = new Worker(__filename, { workerData: { replayWorker: true } });
+            worker.on('message', ({ id, result, error }) => {
+                const job = this.#jobs.get(id);
+                if (job == undefined) return;
+                this.#jobs.delete(id);
+                // an idle worker shouldn't keep the process alive
+                if (this.#jobs.size == 0) worker.unref();
+                if (error != undefined) job.reject(new Error(error));
+                else job.resolve(result);
+            });
+            worker.on('error', (err) => {
+                this.#error('Replay worker crashed:');
+                this.#error(err.stack);
+            });
+            worker.on('exit', () => {
+                if (this.#worker == worker) this.#worker = null;
+                this.#jobs.forEach((job) => job.reject(new Error('Replay worker exited')));
+                this.#jobs.clear();
+            });
+            this.#worker = worker;
+        }
+        const id = this.#nextJob++;
+        this.#worker.ref();
+        return new Promise((resolve, reject) => {
+            this.#jobs.set(id, { resolve: resolve, reject: reject });
+            this.#worker.postMessage({ id: id, type: type, data: data });
+        });
+    }
+
+    #convert(replay, format) {
+        const from = replay.format;
+        const converted = { ...replay, format: format, events: [] };
+        let state = null;
+        let convertedState = null;
+        for (const [time, type, data] of replay.events) {
+            switch (type) {
+                case 'tick':
+                    const next = ReplayPlayback.applyTick(state, data);
+                    const grid = this.#pixelConverter.convertGrid(next.grid, from, format);
+                    const delta = data.keyframe ? null : {
+                        grid: GridDelta.encode(convertedState.grid, grid),
+                        teamGrid: GridDelta.encode(state.teamGrid, next.teamGrid),
+                        booleanGrids: next.booleanGrids.map((booleanGrid, i) => GridDelta.encode(state.booleanGrids[i] ?? Buffer.alloc(0), booleanGrid))
+                    };
+                    const keyframe = delta == null || delta.grid == null || delta.teamGrid == null || delta.booleanGrids.includes(null);
+                    converted.events.push([time, type, {
+                        keyframe: keyframe,
+                        grid: (keyframe ? grid : delta.grid).toString('base64'),
+                        teamGrid: (keyframe ? next.teamGrid : delta.teamGrid).toString('base64'),
+                        booleanGrids: (keyframe ? next.booleanGrids : delta.booleanGrids).map((booleanGrid) => booleanGrid.toString('base64')),
+                        data: {
+                            ...data.data,
+                            teamPixelAmounts: data.data.teamPixelAmounts.map(arr => {
+                                let mappedArr = [];
+                                for (let n in arr) {
+                                    if (arr[n] != null && arr[n] !== 0) mappedArr[this.#pixelConverter.convert(n, from, format)] = arr[n];
+                                }
+                                return mappedArr;
+                            })
+                        }
+                    }]);
+                    state = next;
+                    convertedState = { grid: grid };
+                    break;
+                case 'input':
+                    converted.events.push([time, type, this.#convertInput(data, from, format)]);
+                    break;
+                case 'inputBatch':
+                    converted.events.push([time, type, data.map((input) => this.#convertInput(input, from, format))]);
+                    break;
+                default:
+                    converted.events.push([time, type, data]);
+            }
+        }
+        return converted;
+    }
+    #convertInput(input, from, to) {
+        switch (input.type) {
+            case 0:
+                let newdata = [...input.data];
+                if (input.data[5] != -1) newdata[5] = this.#pixelConverter.convert(input.data[5], from, to);
+                return { type: input.type, team: input.team, data: newdata };
+            case 1:
+                return { type: input.type, team: input.team, data: [input.data[0], ...this.#pixelConverter.convertGrid(Buffer.from(input.data.slice(1)), from, to)] };
+            default:
+                return input;
+        }
+    }
+
+    #debug(text) {
+        if (this.#logger) this.#logger.debug('[ReplayManager] ' + text);
+    }
+    #info(text) {
+        console.info(text);
+        if (this.#logger) this.#logger.info('[ReplayManager] ' + text);
+    }
+    #warn(text) {
+        console.warn(text);
+        if (this.#logger) this.#logger.warn('[ReplayManager] ' + text);
+    }
+    #error(text) {
+        console.error(text);
+        if (this.#logger) this.#logger.error('[ReplayManager] ' + text);
+    }
+}
+
+/**
+ * Records the grid size, ticks, and inputs of a running game. Ticks are stored as deltas in between keyframes.
+ */
+class ReplayRecorder {
+    #manager;
+    #pixelConverter;
+    #replay;
+    #start = performance.now();
+    #tickCount = 0;
+    #lastTick = null;
+    #ended = false;
+
+    /**
+     * Create a new `ReplayRecorder`. Use `ReplayManager.record` instead.
+     * @param {ReplayManager} manager `ReplayManager` to save the replay with.
+     * @param {PixelConverter} converter `PixelConverter` instance for converting pixel IDs.
+     * @param {string} gameId ID of the game being recorded.
+     * @param {{gameType: string, format: string, teamA: Array<string>, teamB: Array<string>, teamSize: number}} info Information about the game.
+     */
+    constructor(manager, converter, gameId, { gameType, format, teamA, teamB, teamSize }) {
+        this.#manager = manager;
+        this.#pixelConverter = converter;
+        this.#replay = {
+            id: `${gameId}-${Date.now()}`,
+            gameType: gameType,
+            format: format,
+            teamA: teamA,
+            teamB: teamB,
+            teamSize: teamSize,
+            startTime: Date.now(),
+            duration: 0,
+            events: []
+        };
+    }
+
+    /**
+     * Record a change in grid size.
+     * @param {{width: number, height: number}} size New grid size.
+     */
+    gridSize(size) {
+        this.#push('gridSize', { width: size.width, height: size.height });
+    }
+    /**
+     * Record a game tick sent by the host.
+     * @param {object} tick Validated tick data from the host.
+     * @param {string} format ID of the format of the tick (the host's client).
+     */
+    tick(tick, format) {
+        let grid = tick.grid;
+        let teamPixelAmounts = tick.data.teamPixelAmounts;
+        if (format != this.#replay.format) {
+            grid = this.#pixelConverter.convertGrid(grid, format, this.#replay.format);
+            teamPixelAmounts = teamPixelAmounts.map(arr => {
+                let mappedArr = [];
+                for (let n in arr) {
+                    if (arr[n] !== 0) mappedArr[this.#pixelConverter.convert(n, format, this.#replay.format)] = arr[n];
+                }
+                return mappedArr;
+            });
+        }
+        // keyframe every 200 ticks so playback can start without reading the whole replay
+        let delta = null;
+        if (this.#lastTick != null && this.#tickCount % 200 != 0 && this.#lastTick.booleanGrids.length == tick.booleanGrids.length) {
+            delta = {
+                grid: GridDelta.encode(this.#lastTick.grid, grid),
+                teamGrid: GridDelta.encode(this.#lastTick.teamGrid, tick.teamGrid),
+                booleanGrids: tick.booleanGrids.map((booleanGrid, i) => GridDelta.encode(this.#lastTick.booleanGrids[i], booleanGrid))
+            };
+            if (delta.grid == null || delta.teamGrid == null || delta.booleanGrids.includes(null)) delta = null;
+        }
+        this.#tickCount++;
+        this.#lastTick = { grid: grid, teamGrid: tick.teamGrid, booleanGrids: tick.booleanGrids };
+        const recorded = delta ?? this.#lastTick;
+        this.#push('tick', {
+            keyframe: delta == null,
+            grid: recorded.grid.toString('base64'),
+            teamGrid: recorded.teamGrid.toString('base64'),
+            booleanGrids: recorded.booleanGrids.map((booleanGrid) => booleanGrid.toString('base64')),
+            data: {
+                tick: tick.data.tick,
+                teamPixelAmounts: teamPixelAmounts,
+                pixeliteCounts: tick.data.pixeliteCounts,
+                cameraShake: tick.data.cameraShake ?? 0
+            }
+        });
+    }
+    /**
+     * Record an input forwarded to the host.
+     * @param {{type: number, team: number, data: Array<number>}} input Input as forwarded to the host.
+     * @param {string} format ID of the format of the input (the host's client).
+     */
+    input(input, format) {
+        this.#push('input', this.#convertInput(input, format));
+    }
+    /**
+     * Record a batch of inputs forwarded to the host.
+     * @param {Array<{type: number, team: number, data: Array<number>}>} inputs Inputs as forwarded to the host.
+     * @param {string} format ID of the format of the inputs (the host's client).
+     */
+    inputBatch(inputs, format) {
+        this.#push('inputBatch', inputs.map((input) => this.#convertInput(input, format)));
+    }
+    /**
+     * Stop recording and save the replay.
+     */
+    end() {
+        if (this.#ended) return;
+        this.#ended = true;
+        if (this.#tickCount == 0) return;
+        this.#replay.duration = Math.round(performance.now() - this.#start);
+        this.#manager.save(this.#replay);
+    }
+
+    #push(type, data) {
+        if (this.#ended) return;
+        this.#replay.events.push([Math.round(performance.now() - this.#start), type, data]);
+    }
+    #convertInput(input, format) {
+        if (format == this.#replay.format) return { type: input.type, team: input.team, data: [...input.data] };
+        switch (input.type) {
+            case 0:
+                let newdata = [...input.data];
+                if (input.data[5] != -1) newdata[5] = this.#pixelConverter.convert(input.data[5], format, this.#replay.format);
+                return { type: input.type, team: input.team, data: newdata };
+            case 1:
+                return { type: input.type, team: input.team, data: [input.data[0], ...this.#pixelConverter.convertGrid(Buffer.from(input.data.slice(1)), format, this.#replay.format)] };
+        }
+    }
+
+    /**
+     * ID of the replay being recorded.
+     */
+    get id() {
+        return this.#replay.id;
+    }
+}
+
+/**
+ * Plays a replay back to a `PixSimHandler` at the original timing, like a spectator.
+ */
+class ReplayPlayback {
+    #handler;
+    #replay;
+    #index = 0;
+    #start = 0;
+    #timer = null;
+    #state = null;
+    #started = false;
+
+    /**
+     * Create a new `ReplayPlayback`. Use `ReplayManager.play` instead.
+     * @param {PixSimHandler} handler `PixSimHandler` to play the replay to.
+     * @param {Replay} replay Decompressed replay, in the format of the handler's client.
+     */
+    constructor(handler, replay) {
+        this.#handler = handler;
+        this.#replay = replay;
+    }
+
+    /**
+     * Starts the playback. Does nothing if it was already started.
+     */
+    start() {
+        if (this.#started) return;
+        this.#started = true;
+        const metadata = { ...this.#replay };
+        delete metadata.events;
+        this.#handler.send('replayStart', metadata);
+        this.#start = performance.now();
+        this.#next();
+    }
+
+    #next() {
+        const now = performance.now() - this.#start;
+        while (this.#index < this.#replay.events.length && this.#replay.events[this.#index][0] <= now) {
+            const [time, type, data] = this.#replay.events[this.#index++];
+            switch (type) {
+                case 'gridSize':
+                    this.#handler.send('gridSize', data);
+                    break;
+                case 'tick':
+                    this.#state = ReplayPlayback.applyTick(this.#state, data);
+                    if (!data.keyframe && this.#handler.deltaTicks) {
+                        this.#handler.send('tickDelta', {
+                            grid: Buffer.from(data.grid, 'base64'),
+                            teamGrid: Buffer.from(data.teamGrid, 'base64'),
+                            booleanGrids: data.booleanGrids.map((booleanGrid) => Buffer.from(booleanGrid, 'base64')),
+                            data: data.data
+                        });
+                    } else {
+                        this.#handler.send('tick', { ...this.#state, data: data.data });
+                    }
+                    break;
+                case 'input':
+                    this.#handler.send('replayInput', data);
+                    break;
+                case 'inputBatch':
+                    this.#handler.send('replayInputBatch', data);
+                    break;
+            }
+        }
+        if (this.#index >= this.#replay.events.length) {
+            this.#timer = null;
+            this.#handler.send('replayEnd');
+            return;
+        }
+        this.#timer = setTimeout(() => this.#next(), this.#replay.events[this.#index][0] - now);
+    }
+
+    /**
+     * Stops the playback.
+     */
+    stop() {
+        clearTimeout(this.#timer);
+        this.#timer = null;
+    }
+    /**
+     * Whether the playback is still running.
+     */
+    get running() {
+        return this.#timer != null;
+    }
+
+    /**
+     * Apply a recorded tick to the full grids of the previous tick.
+     * @param {{grid: Buffer, teamGrid: Buffer, booleanGrids: Array<Buffer>}|null} state Full grids of the previous tick.
+     * @param {object} tick Recorded tick.
+     * @returns {{grid: Buffer, teamGrid: Buffer, booleanGrids: Array<Buffer>}} Full grids of the tick.
+     */
+    static applyTick(state, tick) {
+        const grid = Buffer.from(tick.grid, 'base64');
+        const teamGrid = Buffer.from(tick.teamGrid, 'base64');
+        const booleanGrids = tick.booleanGrids.map((booleanGrid) => Buffer.from(booleanGrid, 'base64'));
+        if (tick.keyframe || state == null) return { grid: grid, teamGrid: teamGrid, booleanGrids: booleanGrids };
+        return {
+            grid: GridDelta.apply(state.grid, grid),
+            teamGrid: GridDelta.apply(state.teamGrid, teamGrid),
+            booleanGrids: booleanGrids.map((booleanGrid, i) => GridDelta.apply(state.booleanGrids[i], booleanGrid))
+        };
+    }
+}
+/**
+ * Format of a PixSim API replay, compressed with `LZString.compressToUint8Array` when saved or served.
+ * @typedef {{id: string, gameType: string, format: string, teamA: Array<string>, teamB: Array<string>, teamSize: number, startTime: number, duration: number, events: Array<[number, string, object]>}} Replay
+ * @param id ID of the replay (game code and start time).
+ * @param format ID of the format the pixel IDs are in.
+ * @param startTime Time the game started in milliseconds since midnight on January 1, 1970 UTC.
+ * @param duration Length of the replay in milliseconds.
+ * @param events Array of `[time, type, data]`, where `time` is milliseconds since the start and `type` is "gridSize", "tick", "input", or "inputBatch". Tick grids are base64 encoded, and are `GridDelta` deltas of the previous tick unless `keyframe` is true.
+ */
+
+if (!isMainThread && workerData != null && workerData.replayWorker) {
+    parentPort.on('message', ({ id, type, data }) => {
+        try {
+            const result = type == 'compress' ? LZString.compressToUint8Array(data) : LZString.decompressFromUint8Array(data);
+            parentPort.postMessage({ id: id, result: result });
+        } catch (err) {
+            parentPort.postMessage({ id: id, error: err.stack });
+        }
+    });
+}
+
+module.exports.ReplayManager = ReplayManager;
+module.exports.ReplayRecorder = ReplayRecorder;
+module.exports.ReplayPlayback = ReplayPlayback;
+module.exports = ReplayManager;
\ No newline at end of file
@@ -0,0 +1,245 @@
+/**
+ * Declarative schemas for the payloads of client socket events. A schema has a `type` ("any", "null",
+ * "boolean", "number", "integer", "string", "buffer", "array", or "object", or an array of those) and
+ * optionally `optional`, `enum`, `min`/`max` for numbers, `minLength`/`maxLength` for strings, buffers,
+ * and arrays, `items` for arrays, and `properties` for objects. Events without a payload use `none`.
+ */
+const none = { type: 'any', optional: true };
+const username = { type: 'string', maxLength: 64 };
+const buffer = { type: 'buffer' };
+const input = {
+    type: 'object',
+    properties: {
+        type: { type: 'integer', enum: [0, 1] },
+        data: { type: 'array', items: { type: 'number' } },
+        tick: { type: 'integer', min: 0, optional: true }
+    }
+};
+const schemas = {
+    clientInfo: {
+        type: 'object',
+        properties: {
+            client: { type: 'string' },
+            username: username,
+            password: { type: ['buffer', 'string', 'null'], optional: true },
+            register: { type: 'boolean', optional: true },
+            protocol: { type: 'integer', optional: true },
+            capabilities: { type: 'array', items: { type: 'string' }, optional: true }
+        }
+    },
+    ping: none,
+    createGame: none,
+    cancelCreateGame: none,
+    getPublicRooms: {
+        type: 'object',
+        properties: {
+            type: { type: 'string' },
+            spectating: { type: 'boolean', optional: true }
+        }
+    },
+    joinGame: {
+        type: 'object',
+        properties: {
+            code: { type: 'string' },
+            spectating: { type: 'boolean' },
+            password: { type: ['buffer', 'null'], optional: true }
+        }
+    },
+    resumeGame: {
+        type: 'object',
+        properties: {
+            code: { type: 'string' },
+            token: { type: 'string' }
+        }
+    },
+    leaveGame: none,
+    queueMatch: {
+        type: 'object',
+        properties: {
+            gameType: { type: 'string' },
+            teamSize: { type: 'integer', min: 1 },
+            client: { type: 'string', optional: true }
+        }
+    },
+    cancelQueue: none,
+    watchReplay: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' }
+        }
+    },
+    stopReplay: none,
+    changeTeam: { type: 'integer', min: 0, max: 1 },
+    gameType: { type: 'string' },
+    allowSpectators: { type: 'boolean' },
+    isPublic: { type: 'boolean' },
+    teamSize: { type: 'integer', min: 1 },
+    kickPlayer: username,
+    banPlayer: username,
+    unbanPlayer: username,
+    setPassword: { type: ['buffer', 'null'] },
+    invitePlayer: username,
+    uninvitePlayer: username,
+    mutePlayer: username,
+    unmutePlayer: username,
+    movePlayer: {
+        type: 'object',
+        properties: {
+            username: username,
+            team: { type: 'integer', min: 0, max: 1 },
+            username2: { type: 'string', optional: true }
+        }
+    },
+    inputDelay: { type: 'integer', min: 0, max: 120 },
+    maxPing: {
+        type: 'object',
+        properties: {
+            limit: { type: ['integer', 'null'], min: 1 },
+            block: { type: 'boolean', optional: true }
+        }
+    },
+    startGame: {
+        type: ['object', 'null'],
+        optional: true,
+        properties: {
+            force: { type: 'boolean', optional: true }
+        }
+    },
+    ready: none,
+    chat: {
+        type: 'object',
+        properties: {
+            message: { type: 'string' },
+            team: { type: 'boolean' }
+        }
+    },
+    resync: none,
+    gridSize: {
+        type: 'object',
+        properties: {
+            width: { type: 'integer', min: 1 },
+            height: { type: 'integer', min: 1 }
+        }
+    },
+    tick: {
+        type: 'object',
+        properties: {
+            grid: buffer,
+            teamGrid: { type: 'buffer', minLength: 1 },
+            booleanGrids: { type: 'array', items: buffer },
+            origin: { type: 'string' },
+            data: {
+                type: 'object',
+                properties: {
+                    tick: { type: 'number' },
+                    teamPixelAmounts: { type: 'array' }
+                }
+            }
+        }
+    },
+    gridHash: {
+        type: 'object',
+        properties: {
+            tick: { type: 'integer', min: 0 },
+            hash: { type: 'string', minLength: 64, maxLength: 64 }
+        }
+    },
+    gridReport: {
+        type: 'object',
+        properties: {
+            tick: { type: 'integer', min: 0 },
+            grid: buffer
+        }
+    },
+    gameResult: {
+        type: 'object',
+        properties: {
+            winner: { type: ['integer', 'null'], min: 0, max: 1 },
+            duration: { type: 'number', min: 0 },
+            teamPixelAmounts: { type: 'array', items: { type: 'array', items: { type: ['number', 'null'] } } },
+            pixeliteCounts: { type: 'array', items: { type: 'number' } }
+        }
+    },
+    signOffResult: { type: 'boolean' },
+    input: input,
+    inputBatch: { type: 'array', items: input }
+};
+
+/**
+ * Validates client socket event payloads against their schemas.
+ */
+class EventValidator {
+    /**
+     * Checks if an event has a schema.
+     * @param {string} event Name of the event.
+     * @returns {boolean} If the event has a schema.
+     */
+    static has(event) {
+        return schemas.hasOwnProperty(event);
+    }
+    /**
+     * Validates the payload of an event. Events without a schema are always valid.
+     * @param {string} event Name of the event.
+     * @param {*} data Payload of the event.
+     * @returns {ValidationError|null} The first violation found, or `null` if the payload is valid.
+     */
+    static validate(event, data) {
+        if (!schemas.hasOwnProperty(event)) return null;
+        const error = EventValidator.#check(schemas[event], data, '');
+        if (error == null) return null;
+        return { code: error.code, event: event, path: error.path, message: error.message };
+    }
+
+    static #check(schema, value, path) {
+        if (value === undefined) {
+            if (schema.optional) return null;
+            return { code: 'MISSING_FIELD', path: path, message: 'Missing required value' };
+        }
+        const types = schema.type instanceof Array ? schema.type : [schema.type];
+        const type = EventValidator.#typeOf(value);
+        if (!types.includes('any') && !types.includes(type) && !(type == 'integer' && types.includes('number'))) {
+            return { code: 'INVALID_TYPE', path: path, message: `Expected ${types.join(' or ')}, got ${type}` };
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            return { code: 'INVALID_VALUE', path: path, message: `Expected one of ${schema.enum.join(', ')}` };
+        }
+        if (typeof value == 'number' && ((schema.min != undefined && value < schema.min) || (schema.max != undefined && value > schema.max))) {
+            return { code: 'OUT_OF_RANGE', path: path, message: `Expected a value from ${schema.min ?? '-Infinity'} to ${schema.max ?? 'Infinity'}` };
+        }
+        if (type == 'string' || type == 'buffer' || type == 'array') {
+            if ((schema.minLength != undefined && value.length < schema.minLength) || (schema.maxLength != undefined && value.length > schema.maxLength)) {
+                return { code: 'INVALID_LENGTH', path: path, message: `Expected a length from ${schema.minLength ?? 0} to ${schema.maxLength ?? 'Infinity'}` };
+            }
+        }
+        if (type == 'array' && schema.items) {
+            for (let i = 0; i < value.length; i++) {
+                const error = EventValidator.#check(schema.items, value[i], `${path}[${i}]`);
+                if (error != null) return error;
+            }
+        }
+        if (type == 'object' && schema.properties) {
+            for (const key in schema.properties) {
+                const error = EventValidator.#check(schema.properties[key], value[key], path.length > 0 ? `${path}.${key}` : key);
+                if (error != null) return error;
+            }
+        }
+        return null;
+    }
+    static #typeOf(value) {
+        if (value === null) return 'null';
+        if (Buffer.isBuffer(value)) return 'buffer';
+        if (value instanceof Array) return 'array';
+        if (typeof value == 'number') return Number.isInteger(value) ? 'integer' : 'number';
+        return typeof value;
+    }
+}
+/**
+ * A schema violation, sent to clients in `error` events.
+ * @typedef {{code: string, event: string, path: string, message: string}} ValidationError
+ * @param code Machine-readable error code: "MISSING_FIELD", "INVALID_TYPE", "INVALID_VALUE", "OUT_OF_RANGE", or "INVALID_LENGTH".
+ * @param event Name of the event with the invalid payload.
+ * @param path Path to the invalid field, such as "data.tick" or "[2].type". Empty if the whole payload is invalid.
+ * @param message Human-readable description of the violation.
+ */
+
+module.exports = EventValidator;
\ No newline at end of file
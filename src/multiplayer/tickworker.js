@@ -0,0 +1,131 @@
+const { isMainThread, parentPort, workerData } = require('worker_threads');
+const PixelConverter = require('./converter');
+const GridDelta = require('./delta');
+
+/**
+ * Converts the ticks of game rooms into the formats of their players and encodes deltas against the previous
+ * tick of each format. Runs inside the workers of `TickWorkerPool`, or on the main thread if the pool is empty.
+ */
+class TickProcessor {
+    #pixelConverter;
+    #baselines = new Map();
+
+    /**
+     * Create a new `TickProcessor`.
+     * @param {PixelConverter} converter `PixelConverter` instance for converting pixel IDs.
+     */
+    constructor(converter) {
+        if (!(converter instanceof PixelConverter)) throw new TypeError('"converter" must be an instance of PixelConverter');
+        this.#pixelConverter = converter;
+    }
+
+    /**
+     * Converts a tick of a room into every target format. Every conversion becomes the baseline for the next delta of its format.
+     * @param {string} room ID of the room the tick is from.
+     * @param {TickJob} job The tick and the formats to convert it into.
+     * @returns {TickResult} The conversions and the time spent converting grids.
+     */
+    process(room, { grid, teamGrid, booleanGrids, teamPixelAmounts, from, targets, deltas }) {
+        // buffers lose their prototype when sent between threads
+        grid = TickProcessor.toBuffer(grid);
+        teamGrid = TickProcessor.toBuffer(teamGrid);
+        booleanGrids = booleanGrids.map((booleanGrid) => TickProcessor.toBuffer(booleanGrid));
+        const convertGridCount = this.#pixelConverter.convertGridCount;
+        const convertGridTime = this.#pixelConverter.convertGridTime;
+        if (!this.#baselines.has(room)) this.#baselines.set(room, new Map());
+        const baselines = this.#baselines.get(room);
+        const conversions = {};
+        for (const clientType of new Set([from, ...targets])) {
+            const conversion = TickProcessor.convert(this.#pixelConverter, grid, teamPixelAmounts, from, clientType);
+            if (deltas.includes(clientType)) conversion.delta = this.#encodeDelta(baselines.get(clientType), conversion.grid, teamGrid, booleanGrids);
+            baselines.set(clientType, { grid: conversion.grid, teamGrid: teamGrid, booleanGrids: booleanGrids });
+            if (targets.includes(clientType)) conversions[clientType] = conversion;
+        }
+        return {
+            conversions: conversions,
+            convertGridCount: this.#pixelConverter.convertGridCount - convertGridCount,
+            convertGridTime: this.#pixelConverter.convertGridTime - convertGridTime
+        };
+    }
+    /**
+     * Discards the delta baselines of a room.
+     * @param {string} room ID of the room.
+     */
+    release(room) {
+        this.#baselines.delete(room);
+    }
+
+    #encodeDelta(baseline, grid, teamGrid, booleanGrids) {
+        if (baseline == undefined || baseline.booleanGrids.length != booleanGrids.length) return null;
+        const delta = {
+            grid: GridDelta.encode(baseline.grid, grid),
+            teamGrid: GridDelta.encode(baseline.teamGrid, teamGrid),
+            booleanGrids: booleanGrids.map((booleanGrid, i) => GridDelta.encode(baseline.booleanGrids[i], booleanGrid))
+        };
+        if (delta.grid == null || delta.teamGrid == null || delta.booleanGrids.includes(null)) return null;
+        return delta;
+    }
+
+    /**
+     * Converts the grid and pixel amounts of a tick into another format, without touching any delta baselines.
+     * @param {PixelConverter} converter `PixelConverter` instance for converting pixel IDs.
+     * @param {Buffer} grid Grid of the tick.
+     * @param {Array<Array<number>>} teamPixelAmounts Pixel amounts of each team, indexed by pixel ID.
+     * @param {string} from Format of the tick.
+     * @param {string} to Format to convert into.
+     * @returns {{grid: Buffer, pixels: Array<Array<number>>}} The converted grid and pixel amounts.
+     */
+    static convert(converter, grid, teamPixelAmounts, from, to) {
+        if (from == to) return { grid: grid, pixels: teamPixelAmounts };
+        return {
+            grid: converter.convertGrid(grid, from, to),
+            pixels: teamPixelAmounts.map(arr => {
+                let mappedArr = [];
+                for (let n in arr) {
+                    if (arr[n] !== 0) mappedArr[converter.convert(n, from, to)] = arr[n];
+                }
+                return mappedArr;
+            })
+        };
+    }
+    /**
+     * Wraps a `Uint8Array` received from another thread in a `Buffer` without copying it.
+     * @param {Uint8Array} array The array.
+     * @returns {Buffer} A `Buffer` over the same memory.
+     */
+    static toBuffer(array) {
+        if (Buffer.isBuffer(array)) return array;
+        return Buffer.from(array.buffer, array.byteOffset, array.byteLength);
+    }
+}
+/**
+ * A tick to convert.
+ * @typedef {{grid: Buffer, teamGrid: Buffer, booleanGrids: Array<Buffer>, teamPixelAmounts: Array<Array<number>>, from: string, targets: Array<string>, deltas: Array<string>}} TickJob
+ * @param from Format of the tick.
+ * @param targets Formats to convert the tick into.
+ * @param deltas Formats to also encode a delta against the previous tick for.
+ */
+/**
+ * Conversions of a tick.
+ * @typedef {{conversions: Object<string, {grid: Buffer, pixels: Array<Array<number>>, delta: {grid: Buffer, teamGrid: Buffer, booleanGrids: Array<Buffer>}|null|undefined}>, convertGridCount: number, convertGridTime: number}} TickResult
+ * @param conversions Conversion of the tick by format. `delta` is only set for formats in `deltas`, and is `null` if no delta could be encoded.
+ * @param convertGridCount Number of grids remapped.
+ * @param convertGridTime Milliseconds spent remapping grids.
+ */
+
+if (!isMainThread && workerData != null && workerData.tickWorker) {
+    const processor = new TickProcessor(PixelConverter.fromTables(workerData.tables));
+    parentPort.on('message', ({ id, room, job }) => {
+        if (job == undefined) {
+            processor.release(room);
+            return;
+        }
+        try {
+            parentPort.postMessage({ id: id, result: processor.process(room, job) });
+        } catch (err) {
+            parentPort.postMessage({ id: id, error: err.stack });
+        }
+    });
+}
+
+module.exports = TickProcessor;
\ No newline at end of file
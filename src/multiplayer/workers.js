@@ -0,0 +1,222 @@
+const { Worker } = require('worker_threads');
+const path = require('path');
+const Logger = require('../log');
+const PixelConverter = require('./converter');
+const TickProcessor = require('./tickworker');
+
+/**
+ * A pool of worker threads that convert the ticks of game rooms, so the main thread only has to do socket
+ * I/O. Every room sticks to one worker, which keeps its delta baselines, and new rooms go to the worker with
+ * the fewest rooms. An empty pool processes ticks on the main thread instead. Workers that exit are restarted
+ * with an increasing delay, during which their rooms are processed on the main thread, and the pool moves to
+ * the main thread for good if they keep exiting.
+ */
+class TickWorkerPool {
+    static #maxRestarts = 5;
+    static #restartWindow = 60000;
+    static #restartDelay = 1000;
+
+    #size = 0;
+    #tables = null;
+    #workers = [];
+    #inline = null;
+    #standby = null;
+    #restarts = [];
+    #rooms = new Map();
+    #nextId = 0;
+    #convertGridCount = 0;
+    #convertGridTime = 0;
+    #ready;
+    #closed = false;
+    #logger;
+    #logEverything = false;
+
+    /**
+     * Create a new `TickWorkerPool` and start its workers once the `PixelConverter` is ready.
+     * @param {number} size Number of worker threads. `0` processes ticks on the main thread.
+     * @param {PixelConverter} converter `PixelConverter` instance whose tables the workers convert with.
+     * @param {Logger} logger `Logger` instance for logging.
+     * @param {boolean} logEverything To log or not to log everything.
+     */
+    constructor(size, converter, logger, logEverything = false) {
+        if (typeof size != 'number' || !Number.isInteger(size) || size < 0) throw new TypeError('"size" must be a non-negative integer');
+        if (!(converter instanceof PixelConverter)) throw new TypeError('"converter" must be an instance of PixelConverter');
+        this.#size = size;
+        if (logger instanceof Logger) this.#logger = logger;
+        this.#logEverything = logEverything;
+        this.#ready = converter.ready.then(() => {
+            if (this.#closed) return;
+            this.#tables = converter.tables;
+            if (size == 0) {
+                this.#inline = new TickProcessor(PixelConverter.fromTables(this.#tables));
+                this.#info('Processing ticks on the main thread');
+                return;
+            }
+            for (let i = 0; i < size; i++) this.#workers.push(this.#spawn());
+            this.#info(`Started ${size} tick workers`);
+        });
+    }
+
+    #spawn() {
+        const entry = {
+            worker: new Worker(path.resolve(__dirname, 'tickworker.js'), { workerData: { tickWorker: true, tables: this.#tables } }),
+            rooms: new Set(),
+            pending: new Map()
+        };
+        entry.worker.on('message', ({ id, result, error }) => {
+            const request = entry.pending.get(id);
+            if (request == undefined) return;
+            entry.pending.delete(id);
+            if (error != undefined) {
+                request.reject(new Error(error));
+                return;
+            }
+            this.#convertGridCount += result.convertGridCount;
+            this.#convertGridTime += result.convertGridTime;
+            for (const clientType in result.conversions) {
+                const conversion = result.conversions[clientType];
+                conversion.grid = TickProcessor.toBuffer(conversion.grid);
+                if (conversion.delta != null) {
+                    conversion.delta.grid = TickProcessor.toBuffer(conversion.delta.grid);
+                    conversion.delta.teamGrid = TickProcessor.toBuffer(conversion.delta.teamGrid);
+                    conversion.delta.booleanGrids = conversion.delta.booleanGrids.map((booleanGrid) => TickProcessor.toBuffer(booleanGrid));
+                }
+            }
+            request.resolve(result.conversions);
+        });
+        entry.worker.on('error', (err) => {
+            this.#error('Tick worker crashed:');
+            this.#error(err.stack);
+        });
+        entry.worker.on('exit', () => {
+            entry.pending.forEach((request) => request.reject(new Error('Tick worker exited')));
+            entry.pending.clear();
+            if (this.#closed) return;
+            // the rooms lose their baselines, so their next ticks are sent in full
+            entry.rooms.forEach((room) => this.#rooms.delete(room));
+            this.#workers.splice(this.#workers.indexOf(entry), 1);
+            if (this.#inline != null) return;
+            // workers that can't start (like with bad tables) would otherwise restart in a tight loop
+            const now = performance.now();
+            this.#restarts = this.#restarts.filter((time) => now - time < TickWorkerPool.#restartWindow);
+            if (this.#restarts.length >= TickWorkerPool.#maxRestarts) {
+                this.#error(`Tick workers exited ${this.#restarts.length + 1} times within ${TickWorkerPool.#restartWindow / 1000}s, processing ticks on the main thread`);
+                this.#inline = this.#getStandby();
+                this.#rooms.clear();
+                this.#workers.forEach((entry) => entry.worker.terminate());
+                return;
+            }
+            this.#restarts.push(now);
+            const delay = TickWorkerPool.#restartDelay * 2 ** (this.#restarts.length - 1);
+            this.#warn(`Tick worker exited, restarting in ${delay}ms`);
+            setTimeout(() => {
+                if (this.#closed || this.#inline != null) return;
+                this.#workers.push(this.#spawn());
+                this.#info('Restarted a tick worker');
+            }, delay);
+        });
+        return entry;
+    }
+
+    /**
+     * Converts a tick of a room on the worker the room is assigned to.
+     * @param {string} room ID of the room the tick is from.
+     * @param {TickJob} job The tick and the formats to convert it into (see `TickProcessor`).
+     * @returns {Promise<Object<string, object>>} A `Promise` resolving to the conversions of the tick by format.
+     */
+    async process(room, job) {
+        await this.#ready;
+        if (this.#closed) throw new Error('TickWorkerPool is closed');
+        if (this.#inline != null) return this.#processInline(this.#inline, room, job);
+        // every worker is waiting to be restarted
+        if (this.#workers.length == 0) return this.#processInline(this.#getStandby(), room, job);
+        if (!this.#rooms.has(room)) {
+            const entry = this.#workers.reduce((best, entry) => entry.rooms.size < best.rooms.size ? entry : best);
+            entry.rooms.add(room);
+            this.#rooms.set(room, entry);
+            // baselines left from processing the room on the main thread would be outdated by the time it comes back
+            if (this.#standby != null) this.#standby.release(room);
+            if (this.#logEverything) this.#debug(`Assigned room ${room} to tick worker ${this.#workers.indexOf(entry)}`);
+        }
+        const entry = this.#rooms.get(room);
+        const id = this.#nextId++;
+        return await new Promise((resolve, reject) => {
+            entry.pending.set(id, { resolve: resolve, reject: reject });
+            entry.worker.postMessage({ id: id, room: room, job: job });
+        });
+    }
+    #processInline(processor, room, job) {
+        const result = processor.process(room, job);
+        this.#convertGridCount += result.convertGridCount;
+        this.#convertGridTime += result.convertGridTime;
+        return result.conversions;
+    }
+    #getStandby() {
+        this.#standby ??= new TickProcessor(PixelConverter.fromTables(this.#tables));
+        return this.#standby;
+    }
+
+    /**
+     * Discards the state of a room once it closes.
+     * @param {string} room ID of the room.
+     */
+    release(room) {
+        if (this.#inline != null) this.#inline.release(room);
+        if (this.#standby != null) this.#standby.release(room);
+        const entry = this.#rooms.get(room);
+        if (entry == undefined) return;
+        entry.rooms.delete(room);
+        this.#rooms.delete(room);
+        entry.worker.postMessage({ room: room });
+    }
+
+    /**
+     * Number of worker threads.
+     */
+    get size() {
+        return this.#size;
+    }
+    /**
+     * Number of grids remapped by the workers.
+     */
+    get convertGridCount() {
+        return this.#convertGridCount;
+    }
+    /**
+     * Total milliseconds the workers spent remapping grids.
+     */
+    get convertGridTime() {
+        return this.#convertGridTime;
+    }
+    /**
+     * A `Promise` representing when the workers have been started.
+     */
+    get ready() {
+        return this.#ready;
+    }
+
+    /**
+     * Stops all workers.
+     */
+    close() {
+        this.#closed = true;
+        this.#workers.forEach((entry) => entry.worker.terminate());
+    }
+
+    #debug(text) {
+        if (this.#logger) this.#logger.debug('[TickWorkerPool] ' + text);
+    }
+    #info(text) {
+        if (this.#logger) this.#logger.info('[TickWorkerPool] ' + text);
+    }
+    #warn(text) {
+        console.warn(text);
+        if (this.#logger) this.#logger.warn('[TickWorkerPool] ' + text);
+    }
+    #error(text) {
+        console.error(text);
+        if (this.#logger) this.#logger.error('[TickWorkerPool] ' + text);
+    }
+}
+
+module.exports = TickWorkerPool;
\ No newline at end of file